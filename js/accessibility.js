@@ -0,0 +1,274 @@
+// Accessibility: keyboard shortcuts for the whole scene, spoken updates for
+// screen readers, a reduced-motion mode and a high-contrast label theme.
+// The two modes start from the system preferences and are remembered in localStorage.
+
+const ACCESSIBILITY_STORAGE_KEY = 'solarSystemAccessibility';
+const KEYBOARD_ZOOM_FACTOR = 1.25;
+const KEYBOARD_ORBIT_STEP = 10;     // degrees per arrow key press
+const ANNOUNCED_DATA_ROWS = 3;      // live data rows read out with the body's name
+
+const accessibilityState = {
+    reducedMotion: false,
+    highContrast: false,
+    helpReturnFocus: null    // element focused before the help opened
+};
+
+// Each shortcut lists the keys (KeyboardEvent.key values) that trigger it; the
+// help overlay is built from the same table
+const KEYBOARD_SHORTCUTS = [
+    { keys: [']'], label: 'Select the next body', action: () => cycleBody(1) },
+    { keys: ['['], label: 'Select the previous body', action: () => cycleBody(-1) },
+    { keys: ['Enter', 'f'], label: 'Fly to the selected body', action: flyToSelectedBody },
+    { keys: ['o'], label: 'Fly back to the overview', action: () => flyToOverview() },
+    { keys: ['i'], label: 'Read out the selected body', action: announceSelectedBody },
+    { keys: [' '], names: ['Space'], label: 'Pause or resume time', action: toggleTimeFromKeyboard },
+    { keys: ['.'], label: 'Run time faster', action: () => stepTimeRate(1) },
+    { keys: [','], label: 'Run time slower', action: () => stepTimeRate(-1) },
+    { keys: ['r'], label: 'Reverse time', action: reverseTimeFromKeyboard },
+    { keys: ['+', '='], names: ['+'], label: 'Zoom in', action: () => zoomCamera(1 / KEYBOARD_ZOOM_FACTOR) },
+    { keys: ['-'], label: 'Zoom out', action: () => zoomCamera(KEYBOARD_ZOOM_FACTOR) },
+    {
+        keys: ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'],
+        names: ['Arrow keys'],
+        label: 'Orbit the camera, or look around when observing',
+        action: key => orbitCamera(
+            key === 'ArrowLeft' ? -KEYBOARD_ORBIT_STEP : key === 'ArrowRight' ? KEYBOARD_ORBIT_STEP : 0,
+            key === 'ArrowUp' ? KEYBOARD_ORBIT_STEP : key === 'ArrowDown' ? -KEYBOARD_ORBIT_STEP : 0
+        )
+    },
+    { keys: ['l'], label: 'Show or hide labels', action: () => toggleLabels() },
+    { keys: ['?', 'h'], label: 'Show or hide this help', action: toggleHelp },
+    { keys: ['Escape'], names: ['Esc'], label: 'Close the help or the info panel', action: closeFromKeyboard }
+];
+
+function isReducedMotion() {
+    return accessibilityState.reducedMotion;
+}
+
+// Tween length to use for an animation, so reduced motion jumps straight to the end
+function motionDuration(seconds) {
+    return accessibilityState.reducedMotion ? 0 : seconds;
+}
+
+function setReducedMotion(enabled) {
+    accessibilityState.reducedMotion = enabled;
+    document.body.classList.toggle('reduced-motion', enabled);
+    document.getElementById('reduced-motion-toggle').checked = enabled;
+    saveAccessibilitySettings();
+}
+
+function setHighContrast(enabled) {
+    accessibilityState.highContrast = enabled;
+    document.body.classList.toggle('high-contrast', enabled);
+    document.getElementById('high-contrast-toggle').checked = enabled;
+    saveAccessibilitySettings();
+}
+
+function prefersMedia(query) {
+    return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+function loadAccessibilitySettings() {
+    const settings = {
+        reducedMotion: prefersMedia('(prefers-reduced-motion: reduce)'),
+        highContrast: prefersMedia('(prefers-contrast: more)')
+    };
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACCESSIBILITY_STORAGE_KEY) || '{}');
+        if (typeof saved.reducedMotion === 'boolean') settings.reducedMotion = saved.reducedMotion;
+        if (typeof saved.highContrast === 'boolean') settings.highContrast = saved.highContrast;
+    } catch (error) {
+        console.error('Error reading accessibility settings:', error);
+    }
+    return settings;
+}
+
+function saveAccessibilitySettings() {
+    try {
+        localStorage.setItem(ACCESSIBILITY_STORAGE_KEY, JSON.stringify({
+            reducedMotion: accessibilityState.reducedMotion,
+            highContrast: accessibilityState.highContrast
+        }));
+    } catch (error) {
+        console.error('Error saving accessibility settings:', error);
+    }
+}
+
+// Polite announcement for things that are not in the info panel, like the clock.
+// Clearing first makes a repeated message be read again.
+function announce(text) {
+    const region = document.getElementById('announcer');
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = text;
+    }, 50);
+}
+
+// "Mars, planet. Distance from Sun 1.52 AU. ..."
+function describeBody(object) {
+    const rows = liveDataRows(object.body, simulationClock.getDate()).slice(0, ANNOUNCED_DATA_ROWS);
+    return [`${object.name}, ${object.body.type}`, ...rows.map(([label, value]) => `${label} ${value}`)].join('. ');
+}
+
+// The info panel's summary is its live region, so selecting a body reads it out
+function announceSelectedBody() {
+    if (!selectedPlanet) return;
+    const summary = document.getElementById('planet-summary');
+    summary.textContent = '';
+    const object = selectedPlanet;
+    setTimeout(() => {
+        if (selectedPlanet === object) summary.textContent = describeBody(object);
+    }, 50);
+}
+
+// Step through the bodies in the same order as picking: star, each planet
+// followed by its moons, then spacecraft in flight
+function cycleBody(step) {
+    const objects = pickableObjects();
+    const index = objects.indexOf(selectedPlanet);
+    const next = index < 0
+        ? objects[step > 0 ? 0 : objects.length - 1]
+        : objects[(index + step + objects.length) % objects.length];
+    showPlanetInfo(next.name);
+}
+
+function flyToSelectedBody() {
+    if (selectedPlanet) flyToBody(selectedPlanet.name);
+}
+
+function toggleTimeFromKeyboard() {
+    simulationClock.togglePause();
+    updateTimeControls();
+    announce(simulationClock.paused ? 'Time paused' : `Time running at ${formatTimeRate(simulationClock.rate)}`);
+}
+
+function reverseTimeFromKeyboard() {
+    simulationClock.reverse();
+    updateTimeControls();
+    announce(simulationClock.direction < 0 ? 'Time running backwards' : 'Time running forwards');
+}
+
+// Move to the next faster or slower preset, keeping the direction
+function stepTimeRate(step) {
+    const rate = Math.abs(simulationClock.rate);
+    const presets = TIME_RATE_PRESETS.slice().sort((a, b) => a.rate - b.rate);
+    const preset = step > 0
+        ? presets.find(candidate => candidate.rate > rate * (1 + 1e-9))
+        : presets.reverse().find(candidate => candidate.rate < rate * (1 - 1e-9));
+    if (!preset) return;
+    simulationClock.setSpeed(preset.rate);
+    updateTimeControls();
+    announce(formatTimeRate(simulationClock.rate));
+}
+
+// factor < 1 zooms in. In space the camera moves along its line to the target;
+// on a surface the field of view narrows instead.
+function zoomCamera(factor) {
+    if (isObserving()) {
+        observerState.fov = Math.max(OBSERVER_MIN_FOV, Math.min(OBSERVER_MAX_FOV, observerState.fov * factor));
+        return;
+    }
+    cancelCameraFlight();
+    const offset = camera.position.clone().sub(controls.target);
+    const distance = Math.max(controls.minDistance, Math.min(controls.maxDistance, offset.length() * factor));
+    camera.position.copy(controls.target).addScaledVector(offset.normalize(), distance);
+}
+
+// Swing the camera around its target, or turn the view when observing (degrees)
+function orbitCamera(azimuth, elevation) {
+    if (isObserving()) {
+        observerState.azimuth += azimuth;
+        observerState.altitude = Math.max(-89.9, Math.min(89.9, observerState.altitude + elevation));
+        return;
+    }
+    cancelCameraFlight();
+    const spherical = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target));
+    spherical.theta += azimuth * DEG_TO_RAD;
+    spherical.phi = Math.max(0.01, Math.min(Math.PI - 0.01, spherical.phi - elevation * DEG_TO_RAD));
+    camera.position.copy(controls.target).add(new THREE.Vector3().setFromSpherical(spherical));
+}
+
+function isHelpOpen() {
+    return !document.getElementById('help-overlay').classList.contains('hidden');
+}
+
+function openHelp() {
+    accessibilityState.helpReturnFocus = document.activeElement;
+    document.getElementById('help-overlay').classList.remove('hidden');
+    document.getElementById('help-close').focus();
+}
+
+function closeHelp() {
+    document.getElementById('help-overlay').classList.add('hidden');
+    const returnFocus = accessibilityState.helpReturnFocus;
+    accessibilityState.helpReturnFocus = null;
+    if (returnFocus && returnFocus.focus) returnFocus.focus();
+}
+
+function toggleHelp() {
+    if (isHelpOpen()) {
+        closeHelp();
+    } else {
+        openHelp();
+    }
+}
+
+function closeFromKeyboard() {
+    if (isHelpOpen()) {
+        closeHelp();
+    } else if (selectedPlanet) {
+        hidePlanetInfo();
+        announce('Info panel closed');
+    }
+}
+
+function renderHelp() {
+    const table = document.getElementById('help-shortcuts');
+    table.innerHTML = '';
+    KEYBOARD_SHORTCUTS.forEach(shortcut => {
+        const row = table.insertRow();
+        const keys = row.insertCell();
+        (shortcut.names || shortcut.keys).forEach(name => {
+            const key = document.createElement('kbd');
+            key.textContent = name;
+            keys.appendChild(key);
+        });
+        row.insertCell().textContent = shortcut.label;
+    });
+}
+
+function handleShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    // Form fields and buttons keep their own keys; Escape still closes things
+    const target = e.target instanceof Element ? e.target : null;
+    if (e.key !== 'Escape' && target && target.closest('input, select, textarea, button, a')) return;
+    // Only Escape and the help key work while the help is open
+    if (isHelpOpen() && !['Escape', '?', 'h'].includes(e.key)) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const shortcut = KEYBOARD_SHORTCUTS.find(candidate => candidate.keys.includes(key) || candidate.keys.includes(e.key));
+    if (!shortcut) return;
+    e.preventDefault();
+    shortcut.action(e.key);
+}
+
+function initAccessibility() {
+    const reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+    const highContrastToggle = document.getElementById('high-contrast-toggle');
+    const settings = loadAccessibilitySettings();
+    setReducedMotion(settings.reducedMotion);
+    setHighContrast(settings.highContrast);
+    reducedMotionToggle.addEventListener('change', () => setReducedMotion(reducedMotionToggle.checked));
+    highContrastToggle.addEventListener('change', () => setHighContrast(highContrastToggle.checked));
+
+    // The canvas takes focus so the shortcuts work straight away
+    const canvas = renderer.domElement;
+    canvas.setAttribute('tabindex', '0');
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'View of the solar system. Press ? for keyboard shortcuts.');
+
+    renderHelp();
+    document.getElementById('open-help').addEventListener('click', openHelp);
+    document.getElementById('help-close').addEventListener('click', closeHelp);
+    document.addEventListener('keydown', handleShortcut);
+}
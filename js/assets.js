@@ -0,0 +1,244 @@
+// Asset manager: textures and data files are requested through here so each one
+// is fetched once, the loading screen can show progress, and anything missing is
+// listed in the diagnostics panel as well as the console.
+// Textures come back at once as a small procedural stand-in drawn from the
+// catalog colours. A low-resolution copy from the "low" folder next to the image
+// replaces it first, then the full image, each in place, so materials never need
+// rebuilding. If no image ever arrives the stand-in stays.
+
+const PLACEHOLDER_WIDTH = 128;
+const PLACEHOLDER_HEIGHT = 64;
+const NOISE_OCTAVES = 4;
+
+const textureLoader = new THREE.TextureLoader();
+
+const assetState = {
+    textures: new Map(),   // url -> THREE.Texture
+    total: 0,
+    settled: 0,
+    sceneReady: false,
+    problems: []           // { url, message, detail }
+};
+
+// Count a pending load towards the loading screen; returns the same promise
+function trackAsset(promise) {
+    assetState.total++;
+    updateLoadingScreen();
+    const settle = () => {
+        assetState.settled++;
+        updateLoadingScreen();
+    };
+    promise.then(settle, settle);
+    return promise;
+}
+
+// fetch that counts towards progress and rejects on HTTP errors
+function fetchAsset(url) {
+    return trackAsset(fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response;
+    }));
+}
+
+function reportAssetProblem(url, message, error) {
+    console.error(`${message}: ${url}`, error);
+    assetState.problems.push({ url: url, message: message, detail: error ? String(error.message || error) : '' });
+    renderDiagnostics();
+}
+
+// Texture for a catalog URL. fallback describes the stand-in:
+// { kind: 'rocky' | 'banded' | 'star' | 'clouds' | 'night' | 'rings', color, seed }
+function loadTexture(url, fallback) {
+    if (!url) return createProceduralTexture(fallback);
+    if (assetState.textures.has(url)) return assetState.textures.get(url);
+
+    const texture = createProceduralTexture(Object.assign({ seed: url }, fallback));
+    assetState.textures.set(url, texture);
+    let upgraded = false;
+    const show = (image) => {
+        texture.image = image;
+        texture.needsUpdate = true;
+    };
+
+    const full = new Promise(resolve => {
+        textureLoader.load(
+            url,
+            (loaded) => {
+                upgraded = true;
+                show(loaded.image);
+                resolve();
+            },
+            undefined,
+            (error) => {
+                reportAssetProblem(url, 'Texture missing, using a generated one', error);
+                resolve();
+            }
+        );
+    });
+    // The loading screen waits for whichever image comes first. A catalog need not
+    // provide low-resolution copies, so a missing one is not reported.
+    const low = new Promise(resolve => {
+        textureLoader.load(
+            lowResolutionUrl(url),
+            (loaded) => {
+                if (!upgraded) show(loaded.image);
+                resolve();
+            },
+            undefined,
+            () => full.then(resolve)
+        );
+    });
+    trackAsset(Promise.race([low, full]));
+    return texture;
+}
+
+// "textures/mars.jpg" -> "textures/low/mars.jpg"
+function lowResolutionUrl(url) {
+    const slash = url.lastIndexOf('/');
+    return `${url.slice(0, slash + 1)}low/${url.slice(slash + 1)}`;
+}
+
+// Deterministic pseudo-random numbers from a string, so a body always gets the same stand-in
+function seededRandom(seed) {
+    let state = 2166136261;
+    for (const char of String(seed || '')) {
+        state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+    return () => {
+        state = Math.imul(state ^ (state >>> 15), 2246822507);
+        state = Math.imul(state ^ (state >>> 13), 3266489909);
+        state ^= state >>> 16;
+        return (state >>> 0) / 4294967296;
+    };
+}
+
+// Fractal value noise on a grid that wraps horizontally, so the seam on a
+// sphere does not show. Returns a function of (u, v) in [0, 1] giving [0, 1].
+function createNoise(random) {
+    const size = 16;
+    const lattice = Array.from({ length: size * size }, random);
+    const smooth = t => t * t * (3 - 2 * t);
+    const sample = (x, y, period) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = smooth(x - x0);
+        const fy = smooth(y - y0);
+        const at = (i, j) => lattice[(((j % size) + size) % size) * size + (((i % period) + period) % period) % size];
+        const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * fx;
+        const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * fx;
+        return top + (bottom - top) * fy;
+    };
+    return (u, v) => {
+        let value = 0;
+        let amplitude = 0.5;
+        for (let octave = 0; octave < NOISE_OCTAVES; octave++) {
+            const period = 4 << octave;
+            value += amplitude * sample(u * period, v * period / 2, period);
+            amplitude /= 2;
+        }
+        return value / (1 - Math.pow(0.5, NOISE_OCTAVES));
+    };
+}
+
+// Brightness and opacity of the stand-in at (u, v) for each kind of surface
+const PROCEDURAL_SURFACES = {
+    rocky: (noise, u, v) => [0.65 + 0.5 * noise(u, v), 1],
+    banded: (noise, u, v) => [0.8 + 0.2 * Math.sin(v * 40 + noise(u, v) * 6), 1],
+    star: (noise, u, v) => [0.8 + 0.3 * noise(u, v), 1],
+    clouds: (noise, u, v) => {
+        const cover = Math.min(Math.max((noise(u, v) - 0.4) / 0.2, 0), 1);
+        return [cover, 1];
+    },
+    night: () => [0, 1],
+    // Concentric bands around the middle of the texture, like a ring seen face on
+    rings: (noise, u, v) => {
+        const radius = Math.hypot(u - 0.5, v - 0.5) * 2;
+        if (radius > 1) return [0, 0];
+        return [0.75 + 0.25 * noise(radius, 0), 0.3 + 0.7 * noise(radius, 0.5)];
+    }
+};
+
+function createProceduralTexture(fallback = {}) {
+    const kind = PROCEDURAL_SURFACES[fallback.kind] ? fallback.kind : 'rocky';
+    const color = new THREE.Color(fallback.color !== undefined ? fallback.color : 0x888888);
+    const noise = createNoise(seededRandom(fallback.seed || `${kind}${color.getHexString()}`));
+    const width = kind === 'rings' ? PLACEHOLDER_HEIGHT : PLACEHOLDER_WIDTH;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = PLACEHOLDER_HEIGHT;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, PLACEHOLDER_HEIGHT);
+    for (let y = 0; y < PLACEHOLDER_HEIGHT; y++) {
+        for (let x = 0; x < width; x++) {
+            const [shade, alpha] = PROCEDURAL_SURFACES[kind](noise, x / width, y / PLACEHOLDER_HEIGHT);
+            const offset = (y * width + x) * 4;
+            image.data[offset] = Math.min(255, color.r * shade * 255);
+            image.data[offset + 1] = Math.min(255, color.g * shade * 255);
+            image.data[offset + 2] = Math.min(255, color.b * shade * 255);
+            image.data[offset + 3] = alpha * 255;
+        }
+    }
+    context.putImageData(image, 0, 0);
+
+    const texture = new THREE.Texture(canvas);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function updateLoadingScreen() {
+    const screen = document.getElementById('loading-screen');
+    if (!screen || screen.classList.contains('hidden')) return;
+    const fraction = assetState.total ? assetState.settled / assetState.total : 0;
+    screen.querySelector('.loading-bar-fill').style.width = `${Math.round(fraction * 100)}%`;
+    document.getElementById('loading-status').textContent = `Loading assets ${assetState.settled} / ${assetState.total}`;
+    if (assetState.sceneReady && assetState.settled === assetState.total) hideLoadingScreen();
+}
+
+function hideLoadingScreen() {
+    document.getElementById('loading-screen').classList.add('hidden');
+}
+
+// The scene is built; textures may still be stand-ins or low-resolution copies, so offer to go in early
+function finishLoading() {
+    assetState.sceneReady = true;
+    document.getElementById('loading-skip').classList.remove('hidden');
+    updateLoadingScreen();
+}
+
+function renderDiagnostics() {
+    const toggle = document.getElementById('diagnostics-toggle');
+    const list = document.getElementById('diagnostics-list');
+    toggle.classList.toggle('hidden', assetState.problems.length === 0);
+    toggle.textContent = `${assetState.problems.length} asset problem${assetState.problems.length === 1 ? '' : 's'}`;
+    list.innerHTML = '';
+    assetState.problems.forEach(problem => {
+        const item = document.createElement('li');
+        const url = document.createElement('code');
+        url.textContent = problem.url;
+        item.append(url, ` — ${problem.message}`);
+        if (problem.detail) item.append(` (${problem.detail})`);
+        list.appendChild(item);
+    });
+}
+
+// The scene could not be built: drop the loading screen and show why
+function showStartupFailure(error) {
+    hideLoadingScreen();
+    reportAssetProblem(window.location.href, 'The scene could not be started', error);
+    document.getElementById('diagnostics-panel').classList.remove('hidden');
+}
+
+function initAssetDiagnostics() {
+    const panel = document.getElementById('diagnostics-panel');
+    document.getElementById('diagnostics-toggle').addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+    });
+    document.getElementById('diagnostics-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+    document.getElementById('loading-skip').addEventListener('click', hideLoadingScreen);
+    renderDiagnostics();
+}
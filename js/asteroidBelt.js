@@ -0,0 +1,222 @@
+// GPU-driven asteroid belt. Every asteroid is one instance of a tiny rock mesh
+// carrying its own orbital elements; the vertex shader solves Kepler's equation,
+// so only a single "days" uniform changes per frame, whatever the count.
+// The catalog's "asteroidBelt" entry describes the belt:
+// { inner, outer (AU), perturber, resonances: [[p, q], ...], trojans }
+
+const MAX_ASTEROIDS = 150000;
+const DISTANCE_SAMPLES = 64;
+const BELT_SAMPLE_MIN_AU = 1.5;
+const BELT_SAMPLE_MAX_AU = 6.0;
+const KIRKWOOD_GAP_WIDTH = 0.025; // AU, half width of each depleted band
+const TROJAN_FRACTION = 0.12;
+
+let asteroidBeltUniforms = null;
+
+// Shared GLSL for belts placed in the shader: the scale mode's AU to scene
+// mapping, sampled into distanceSamples, and a position on a Keplerian orbit.
+// shape is (a (AU), e, inclination, node) and phase (argument of perihelion, mean
+// anomaly at J2000, mean motion (rad/day), free for the caller); angles in radians.
+const ORBIT_GLSL = `
+    #define DISTANCE_SAMPLES ${DISTANCE_SAMPLES}
+    uniform float days;
+    uniform float distanceSamples[DISTANCE_SAMPLES];
+    uniform float sampleMin;
+    uniform float sampleMax;
+
+    // Scene distance for a heliocentric distance in AU, from the scale mode samples
+    float sceneDistance(float au) {
+        float x = clamp((au - sampleMin) / (sampleMax - sampleMin), 0.0, 1.0) * float(DISTANCE_SAMPLES - 1);
+        int index = int(floor(x));
+        float lower = 0.0;
+        float upper = 0.0;
+        for (int k = 0; k < DISTANCE_SAMPLES; k++) {
+            if (k == index) lower = distanceSamples[k];
+            if (k == index + 1) upper = distanceSamples[k];
+        }
+        if (index >= DISTANCE_SAMPLES - 1) upper = lower;
+        return mix(lower, upper, fract(x));
+    }
+
+    vec3 orbitScenePosition(vec4 shape, vec4 phase) {
+        float a = shape.x;
+        float e = shape.y;
+        float inc = shape.z;
+        float node = shape.w;
+        float peri = phase.x;
+
+        float M = mod(phase.y + phase.z * days, 6.2831853);
+        float E = M + e * sin(M);
+        for (int k = 0; k < 6; k++) {
+            E = E - (E - e * sin(E) - M) / (1.0 - e * cos(E));
+        }
+        float xv = a * (cos(E) - e);
+        float yv = a * sqrt(1.0 - e * e) * sin(E);
+
+        float cn = cos(node), sn = sin(node);
+        float cp = cos(peri), sp = sin(peri);
+        float ci = cos(inc), si = sin(inc);
+        vec3 ecliptic = vec3(
+            xv * (cn * cp - sn * sp * ci) - yv * (cn * sp + sn * cp * ci),
+            xv * (sn * cp + cn * sp * ci) - yv * (sn * sp - cn * cp * ci),
+            xv * (sp * si) + yv * (cp * si)
+        );
+        float r = length(ecliptic);
+        return vec3(ecliptic.x, ecliptic.z, -ecliptic.y) * (sceneDistance(r) / r);
+    }
+`;
+
+const ASTEROID_VERTEX_SHADER = `
+    attribute vec4 orbitShape;   // a (AU), e, inclination, node
+    attribute vec4 orbitPhase;   // argument of perihelion, mean anomaly at J2000, mean motion (rad/day), size seed
+    uniform float sizeScale;
+    uniform float sizeExponent;
+    uniform vec3 sunPosition;
+    varying float vLight;
+    ${ORBIT_GLSL}
+
+    void main() {
+        vec3 center = orbitScenePosition(orbitShape, orbitPhase);
+
+        // Power-law sizes: most rocks are small, a few are large
+        float size = sizeScale * min(pow(1.0 - orbitPhase.w * 0.999, -1.0 / sizeExponent), 6.0);
+
+        vec3 worldPosition = center + position * size;
+        vLight = 0.25 + 0.75 * max(dot(normal, normalize(sunPosition - center)), 0.0);
+        gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
+    }
+`;
+
+const ASTEROID_FRAGMENT_SHADER = `
+    uniform vec3 asteroidColor;
+    varying float vLight;
+    void main() {
+        gl_FragColor = vec4(asteroidColor * vLight, 1.0);
+    }
+`;
+
+// Semi-major axis of a p:q mean-motion resonance with the perturbing planet
+function resonanceRadius(perturberA, resonance) {
+    const [p, q] = resonance;
+    return perturberA * Math.pow(q / p, 2 / 3);
+}
+
+// Draw a main-belt semi-major axis, thinning it out near each Kirkwood gap
+function sampleBeltRadius(config, gaps) {
+    for (;;) {
+        const a = config.inner + Math.random() * (config.outer - config.inner);
+        const keep = gaps.every(gap => {
+            const depth = Math.exp(-Math.pow((a - gap) / KIRKWOOD_GAP_WIDTH, 2));
+            return Math.random() > depth * 0.95;
+        });
+        if (keep) return a;
+    }
+}
+
+function gaussianRandom() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function createAsteroidBelt(config, perturber) {
+    const geometry = new THREE.InstancedBufferGeometry();
+    const rock = new THREE.IcosahedronGeometry(1, 0);
+    geometry.index = rock.index;
+    geometry.setAttribute('position', rock.getAttribute('position'));
+    geometry.setAttribute('normal', rock.getAttribute('normal'));
+
+    const shape = new Float32Array(MAX_ASTEROIDS * 4);
+    const phase = new Float32Array(MAX_ASTEROIDS * 4);
+    const gaps = perturber ? (config.resonances || []).map(res => resonanceRadius(perturber.a, res)) : [];
+    const trojanFraction = perturber && config.trojans ? TROJAN_FRACTION : 0;
+    const perturberMotion = perturber ? (2 * Math.PI) / perturber.period : 0;
+    const perturberLongitude = perturber ? (perturber.node + perturber.peri + perturber.meanAnomaly) * DEG_TO_RAD : 0;
+
+    for (let i = 0; i < MAX_ASTEROIDS; i++) {
+        let a, e, inc, node, peri, meanAnomaly, motion;
+        if (Math.random() < trojanFraction) {
+            // Trojans share the planet's period and lead or trail it by about 60 degrees
+            a = perturber.a * (1 + gaussianRandom() * 0.015);
+            e = Math.random() * 0.1;
+            inc = Math.abs(gaussianRandom()) * 0.2;
+            node = Math.random() * Math.PI * 2;
+            peri = Math.random() * Math.PI * 2;
+            const side = Math.random() < 0.5 ? 1 : -1;
+            const longitude = perturberLongitude + side * Math.PI / 3 + gaussianRandom() * 0.25;
+            meanAnomaly = longitude - node - peri;
+            motion = perturberMotion;
+        } else {
+            a = sampleBeltRadius(config, gaps);
+            e = Math.random() * 0.2;
+            inc = Math.abs(gaussianRandom()) * 0.12;
+            node = Math.random() * Math.PI * 2;
+            peri = Math.random() * Math.PI * 2;
+            meanAnomaly = Math.random() * Math.PI * 2;
+            motion = (2 * Math.PI) / (365.256363 * Math.pow(a, 1.5));
+        }
+        shape.set([a, e, inc, node], i * 4);
+        phase.set([peri, meanAnomaly, motion, Math.random()], i * 4);
+    }
+
+    geometry.setAttribute('orbitShape', new THREE.InstancedBufferAttribute(shape, 4));
+    geometry.setAttribute('orbitPhase', new THREE.InstancedBufferAttribute(phase, 4));
+    geometry.instanceCount = Math.min(asteroidCount, MAX_ASTEROIDS);
+
+    asteroidBeltUniforms = {
+        days: { value: 0 },
+        distanceSamples: { value: new Float32Array(DISTANCE_SAMPLES) },
+        sampleMin: { value: BELT_SAMPLE_MIN_AU },
+        sampleMax: { value: BELT_SAMPLE_MAX_AU },
+        sizeScale: { value: asteroidSizeScale },
+        sizeExponent: { value: asteroidSizeExponent },
+        sunPosition: surfaceLightingUniforms.sunPosition,
+        asteroidColor: { value: new THREE.Color(0x888888) }
+    };
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: asteroidBeltUniforms,
+        vertexShader: ASTEROID_VERTEX_SHADER,
+        fragmentShader: ASTEROID_FRAGMENT_SHADER
+    });
+
+    const belt = new THREE.Mesh(geometry, material);
+    belt.frustumCulled = false; // instances are placed in the shader
+    belt.name = 'Asteroid Belt';
+    return belt;
+}
+
+// Resample the active scale mode so a shader can map AU to scene units
+function sampleSceneDistances(uniforms) {
+    const samples = uniforms.distanceSamples.value;
+    const min = uniforms.sampleMin.value;
+    const max = uniforms.sampleMax.value;
+    for (let k = 0; k < DISTANCE_SAMPLES; k++) {
+        samples[k] = auToScene(min + (k / (DISTANCE_SAMPLES - 1)) * (max - min));
+    }
+}
+
+function layoutAsteroidBelt() {
+    if (!asteroidBeltUniforms) return;
+    sampleSceneDistances(asteroidBeltUniforms);
+}
+
+function updateAsteroidBelt(date) {
+    if (!asteroidBeltUniforms) return;
+    asteroidBeltUniforms.days.value = daysSinceJ2000(date);
+}
+
+// Density and size only touch draw count and uniforms, never the buffers
+function setAsteroidCount(count) {
+    asteroidCount = count;
+    if (asteroidBelt) {
+        asteroidBelt.geometry.instanceCount = Math.min(count, MAX_ASTEROIDS);
+    }
+}
+
+function setAsteroidSizeDistribution(scale, exponent) {
+    asteroidSizeScale = scale;
+    asteroidSizeExponent = exponent;
+    if (asteroidBeltUniforms) {
+        asteroidBeltUniforms.sizeScale.value = scale;
+        asteroidBeltUniforms.sizeExponent.value = exponent;
+    }
+}
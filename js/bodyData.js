@@ -0,0 +1,187 @@
+// Physical and live data for catalog bodies, as [label, value] rows ready for the
+// info panel. Live values are computed from the orbits for the simulation date,
+// not from scene positions, so they are right in every scale mode. In physics
+// mode the planets' speeds come from the N-body integrator instead.
+
+const SPEED_OF_LIGHT = 299792.458;   // km/s
+const STANDARD_GRAVITY = 9.80665;    // m/s²
+const OBSERVER_BODY = 'Earth';
+const SPEED_SAMPLE_FRACTION = 1e-4;  // of the orbital period, for the speed difference
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+// Position [x, y, z] in AU relative to the system's star, ecliptic coordinates
+function bodyPositionAU(body, date) {
+    if (body.type === 'spacecraft') return missionPositionAU(findMission(body.name), date);
+    if (body.added) return physicsPositionAU(body.name) || [0, 0, 0];
+    const parent = body.parent && findCatalogBody(catalog, body.parent);
+    if (!parent || !body.orbit) return [0, 0, 0];
+    if (parent.type === 'star') return heliocentricPosition(body.orbit, date);
+
+    const offset = satellitePosition(body.orbit, date, parent.pole);
+    const parentPosition = bodyPositionAU(parent, date);
+    return parentPosition.map((value, i) => value + offset[i] / AU_KM);
+}
+
+function distanceBetweenAU(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Difference step in days. Eccentric orbits swing through perihelion in a small
+// part of their period, so the step shrinks with the perihelion passage time.
+function speedSampleDays(orbit) {
+    return orbit.period * SPEED_SAMPLE_FRACTION * Math.pow(1 - orbit.e, 1.5);
+}
+
+// Speed relative to the parent in km/s, from a small central difference, or
+// from the integrator while the body is moving under N-body physics
+function orbitalSpeed(body, date) {
+    const velocity = physicsVelocity(body.name);
+    if (velocity) return Math.hypot(...velocity);
+    const parent = findCatalogBody(catalog, body.parent);
+    const kmPerUnit = parent.type === 'star' ? AU_KM : 1;
+    const stepDays = speedSampleDays(body.orbit);
+    const before = heliocentricPosition(body.orbit, new Date(date.getTime() - (stepDays / 2) * MS_PER_DAY));
+    const after = heliocentricPosition(body.orbit, new Date(date.getTime() + (stepDays / 2) * MS_PER_DAY));
+    return (distanceBetweenAU(before, after) * kmPerUnit) / (stepDays * 86400);
+}
+
+// Velocity relative to the parent in km/s, ecliptic coordinates
+function relativeVelocity(body, date) {
+    const parent = findCatalogBody(catalog, body.parent);
+    const stepDays = speedSampleDays(body.orbit);
+    const offset = time => {
+        const parentPosition = bodyPositionAU(parent, time);
+        return bodyPositionAU(body, time).map((value, k) => value - parentPosition[k]);
+    };
+    const before = offset(new Date(date.getTime() - (stepDays / 2) * MS_PER_DAY));
+    const after = offset(new Date(date.getTime() + (stepDays / 2) * MS_PER_DAY));
+    return after.map((value, k) => ((value - before[k]) * AU_KM) / (stepDays * 86400));
+}
+
+function formatNumber(value, digits = 0) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatScientific(value, digits = 3) {
+    const exponent = Math.floor(Math.log10(Math.abs(value)));
+    const mantissa = value / Math.pow(10, exponent);
+    const superscript = String(exponent).replace(/\d/g, digit => SUPERSCRIPT_DIGITS[digit]).replace('-', '⁻');
+    return `${mantissa.toFixed(digits)} × 10${superscript}`;
+}
+
+function formatDays(days) {
+    if (days < 2) return `${(days * 24).toFixed(2)} h`;
+    if (days < 730) return `${days.toFixed(days < 10 ? 2 : 1)} days`;
+    return `${(days / 365.25).toFixed(2)} years`;
+}
+
+function formatDistanceAU(au) {
+    if (au < 0.01) return `${formatNumber(au * AU_KM)} km`;
+    return `${au.toFixed(3)} AU`;
+}
+
+function formatLightTime(seconds) {
+    if (seconds < 60) return `${seconds.toFixed(1)} s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+    return `${Math.floor(seconds / 3600)} h ${Math.round((seconds % 3600) / 60)} min`;
+}
+
+function formatAngle(radians) {
+    const degrees = radians / DEG_TO_RAD;
+    if (degrees >= 1) return `${degrees.toFixed(2)}°`;
+    if (degrees * 60 >= 1) return `${(degrees * 60).toFixed(1)}′`;
+    return `${(degrees * 3600).toFixed(degrees * 3600 < 1 ? 3 : 1)}″`;
+}
+
+function formatTemperature(temperature) {
+    const celsius = kelvin => Math.round(kelvin - 273.15);
+    if (temperature.mean !== undefined) {
+        return `${temperature.mean} K (${celsius(temperature.mean)} °C)`;
+    }
+    return `${temperature.min} to ${temperature.max} K (${celsius(temperature.min)} to ${celsius(temperature.max)} °C)`;
+}
+
+// Sidereal rotation, plus the solar day for bodies that orbit the star directly
+function dayLength(body) {
+    if (!body.rotation) {
+        return body.type === 'moon' ? `${formatDays(body.orbit.period)} (tidally locked)` : 'Unknown';
+    }
+    const sidereal = body.rotation.period / 24;
+    const parent = body.parent && findCatalogBody(catalog, body.parent);
+    if (!parent || parent.type !== 'star' || !body.pole) {
+        return `${formatDays(sidereal)} sidereal`;
+    }
+    // A spin axis tipped past 90° turns backwards relative to the orbit
+    const spin = obliquity(body.pole, body.orbit) > 90 ? -1 : 1;
+    const solar = 1 / Math.abs(spin / sidereal - 1 / body.orbit.period);
+    return `${formatDays(sidereal)} sidereal, ${formatDays(solar)} solar`;
+}
+
+function physicalDataRows(body) {
+    const { mass, radius, temperature } = body.physical;
+    const rows = [];
+    if (mass) rows.push(['Mass', `${body.type === 'spacecraft' ? formatNumber(mass) : formatScientific(mass)} kg`]);
+    if (radius) rows.push(['Radius', `${formatNumber(radius, radius < 100 ? 1 : 0)} km`]);
+    if (mass && radius) {
+        const gravity = (GRAVITATIONAL_CONSTANT * mass) / Math.pow(radius * 1000, 2);
+        const density = (mass * 1000) / ((4 / 3) * Math.PI * Math.pow(radius * 1e5, 3));
+        rows.push(['Surface gravity', `${gravity.toPrecision(3)} m/s² (${(gravity / STANDARD_GRAVITY).toPrecision(2)} g)`]);
+        rows.push(['Mean density', `${density.toFixed(2)} g/cm³`]);
+    }
+    // Bodies added in physics mode only have a mass
+    if (body.added) return rows;
+    if (body.type !== 'spacecraft') rows.push(['Day length', dayLength(body)]);
+    if (body.orbit) {
+        const parent = findCatalogBody(catalog, body.parent);
+        const year = parent.type === 'star' && body.type !== 'comet';
+        rows.push([year ? 'Year length' : 'Orbital period', formatDays(body.orbit.period)]);
+    }
+    if (temperature) rows.push(['Temperature', formatTemperature(temperature)]);
+    if (body.type === 'planet' || body.type === 'dwarf') {
+        const moons = body.physical.moons !== undefined ? body.physical.moons : catalogChildren(catalog, body.name).length;
+        rows.push(['Moons', String(moons)]);
+    }
+    // Dwarf planets and comets are set apart by how stretched and tilted their orbits are
+    if (body.type === 'dwarf' || body.type === 'comet') {
+        rows.push(['Perihelion', formatDistanceAU(body.orbit.a * (1 - body.orbit.e))]);
+        rows.push(['Aphelion', formatDistanceAU(body.orbit.a * (1 + body.orbit.e))]);
+        rows.push(['Eccentricity', body.orbit.e.toFixed(3)]);
+        rows.push(['Inclination', `${body.orbit.i.toFixed(1)}°${body.orbit.i > 90 ? ' (retrograde)' : ''}`]);
+    }
+    return rows;
+}
+
+// First perihelion passage after the date
+function nextPerihelion(orbit, date) {
+    const meanAnomaly = meanAnomalyAt(orbit, date) / DEG_TO_RAD;
+    const remaining = 360 - (((meanAnomaly % 360) + 360) % 360);
+    return new Date(date.getTime() + (remaining / 360) * orbit.period * MS_PER_DAY);
+}
+
+function liveDataRows(body, date) {
+    const star = catalog.bodies.find(candidate => candidate.type === 'star' && !candidate.parent);
+    const position = bodyPositionAU(body, date);
+    const rows = [];
+
+    if (body !== star) {
+        const distance = Math.hypot(...position);
+        rows.push([`Distance from ${star.name}`, formatDistanceAU(distance)]);
+        rows.push([`Light time from ${star.name}`, formatLightTime((distance * AU_KM) / SPEED_OF_LIGHT)]);
+    }
+
+    const observer = findCatalogBody(catalog, OBSERVER_BODY);
+    if (observer && body !== observer) {
+        const distance = distanceBetweenAU(position, bodyPositionAU(observer, date));
+        rows.push([`Distance from ${observer.name}`, formatDistanceAU(distance)]);
+        rows.push([`Light time from ${observer.name}`, formatLightTime((distance * AU_KM) / SPEED_OF_LIGHT)]);
+        if (body.physical.radius) {
+            const angularSize = 2 * Math.atan(body.physical.radius / (distance * AU_KM));
+            rows.push([`Apparent size from ${observer.name}`, formatAngle(angularSize)]);
+        }
+    }
+
+    if (body.orbit) rows.push(['Orbital speed', `${orbitalSpeed(body, date).toFixed(2)} km/s`]);
+    if (body.type === 'comet') rows.push(['Next perihelion', formatCalendarDate(nextPerihelion(body.orbit, date))]);
+    if (body.type === 'spacecraft') rows.push(...spacecraftDataRows(body, date));
+    return rows;
+}
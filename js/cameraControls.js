@@ -0,0 +1,178 @@
+// Interactive camera: mouse/touch orbit, zoom and pan via THREE.OrbitControls,
+// click-to-select picking and GSAP fly-to that ends in follow mode.
+
+const OVERVIEW_POSITION = new THREE.Vector3(70, 50, 70);
+const FLY_DURATION = 2;
+const PICK_TOLERANCE_PX = 12;
+const CLICK_MAX_MOVE_PX = 5;
+
+let controls;
+let cameraFlight = null;   // { tween, from, to, progress }
+let followTarget = null;   // planet or moon object the camera tracks
+const lastFollowPosition = new THREE.Vector3();
+const raycaster = new THREE.Raycaster();
+
+function initCameraControls() {
+    controls = new THREE.OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.1;
+    controls.minDistance = 0.05;
+    controls.maxDistance = 3000;
+    controls.target.set(0, 0, 0);
+
+    // Manual orbiting cancels a flight in progress but keeps following
+    controls.addEventListener('start', cancelCameraFlight);
+
+    const canvas = renderer.domElement;
+    let pointerDown = null;
+    canvas.addEventListener('pointerdown', (e) => {
+        pointerDown = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointerup', (e) => {
+        if (!pointerDown) return;
+        const moved = Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y);
+        pointerDown = null;
+        // The observer's sky is not the scene the pick would test against
+        if (moved > CLICK_MAX_MOVE_PX || isObserving()) return;
+
+        const picked = pickBody(e.clientX, e.clientY);
+        if (picked) {
+            selectBody(picked.name);
+        }
+    });
+}
+
+// Everything the user can click on: the star, planets, moons, any spacecraft
+// currently in flight and bodies added in physics mode
+function pickableObjects() {
+    const objects = [sunObject];
+    planets.forEach(planet => {
+        objects.push(planet);
+        objects.push(...planet.moons);
+    });
+    objects.push(...missions.filter(mission => mission.group.visible));
+    objects.push(...physicsState.added);
+    return objects;
+}
+
+// Raycast against body meshes; fall back to the nearest body within a few pixels
+// so tiny moons can still be clicked
+function pickBody(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const width = rect.width || window.innerWidth;
+    const height = rect.height || window.innerHeight;
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / width) * 2 - 1,
+        -((clientY - rect.top) / height) * 2 + 1
+    );
+
+    const objects = pickableObjects();
+    raycaster.setFromCamera(pointer, camera);
+    const hits = raycaster.intersectObjects(objects.map(object => object.mesh), false);
+    if (hits.length > 0) {
+        return objects.find(object => object.mesh === hits[0].object);
+    }
+
+    let nearest = null;
+    let nearestDistance = PICK_TOLERANCE_PX;
+    const worldPosition = new THREE.Vector3();
+    objects.forEach(object => {
+        const screen = object.mesh.getWorldPosition(worldPosition).project(camera);
+        if (screen.z > 1) return;
+        const x = (screen.x * 0.5 + 0.5) * width;
+        const y = (-screen.y * 0.5 + 0.5) * height;
+        const distance = Math.hypot(x - (clientX - rect.left), y - (clientY - rect.top));
+        if (distance < nearestDistance) {
+            nearest = object;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Where the camera should sit to frame a body: sun-side, a little above the orbit
+function viewPoseFor(object) {
+    const target = object.mesh.getWorldPosition(new THREE.Vector3());
+    const distance = Math.max(planetSceneRadius(object.body) * 5, 0.2);
+
+    const direction = target.lengthSq() > 0
+        ? target.clone().negate().normalize().applyAxisAngle(THREE.Object3D.DefaultUp, Math.PI / 5)
+        : camera.position.clone().sub(target).normalize();
+    direction.y += 0.35;
+    direction.normalize();
+
+    return { position: target.clone().addScaledVector(direction, distance), target: target };
+}
+
+// Tween from the current pose towards the body. The end pose is recomputed every
+// frame so the flight lands on the body even though it keeps moving.
+function flyToBody(name) {
+    const object = findBodyObject(name);
+    if (!object) return;
+
+    startCameraFlight(() => viewPoseFor(object), () => {
+        followTarget = object;
+        object.mesh.getWorldPosition(lastFollowPosition);
+    });
+}
+
+function flyToOverview() {
+    startCameraFlight(() => ({ position: OVERVIEW_POSITION.clone(), target: new THREE.Vector3() }), null);
+}
+
+function startCameraFlight(getPose, onArrive) {
+    // Flying anywhere leaves the surface
+    stopObserving();
+    cancelCameraFlight();
+    followTarget = null;
+
+    const flight = {
+        from: { position: camera.position.clone(), target: controls.target.clone() },
+        getPose: getPose,
+        progress: 0
+    };
+    cameraFlight = flight;
+    flight.tween = gsap.to(flight, {
+        progress: 1,
+        duration: motionDuration(FLY_DURATION),
+        ease: 'power2.inOut',
+        onUpdate: () => applyCameraFlight(flight),
+        onComplete: () => {
+            applyCameraFlight(flight);
+            cameraFlight = null;
+            if (onArrive) onArrive();
+        }
+    });
+}
+
+function applyCameraFlight(flight) {
+    const pose = flight.getPose();
+    camera.position.lerpVectors(flight.from.position, pose.position, flight.progress);
+    controls.target.lerpVectors(flight.from.target, pose.target, flight.progress);
+}
+
+function cancelCameraFlight() {
+    if (cameraFlight) {
+        cameraFlight.tween.kill();
+        cameraFlight = null;
+    }
+}
+
+function stopFollowing() {
+    cancelCameraFlight();
+    followTarget = null;
+}
+
+// Called once per frame after bodies have moved
+function updateCameraControls() {
+    if (cameraFlight) {
+        applyCameraFlight(cameraFlight);
+    } else if (followTarget) {
+        // Carry the camera along with the body so the user can still orbit around it
+        const position = followTarget.mesh.getWorldPosition(new THREE.Vector3());
+        camera.position.add(position.clone().sub(lastFollowPosition));
+        controls.target.copy(position);
+        lastFollowPosition.copy(position);
+    }
+    controls.update();
+}
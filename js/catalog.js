@@ -0,0 +1,113 @@
+// Body catalog: one JSON file describing every star, planet, dwarf planet, comet
+// and moon in the scene. Load a different system with ?catalog=data/other.json
+// Orbits around a star give a in AU; orbits around a planet give a in km.
+// "pole" is the spin axis by the right-hand rule (RA/Dec, degrees), so Venus and
+// Uranus point "south" and their moons still orbit prograde about it.
+// physical.temperature is in kelvin, as { min, max } or { mean }; physical.moons
+// is the number of known moons, which may be more than the catalog lists, and
+// physical.albedo the geometric albedo. "sky": { "color", "ground" } gives the
+// daytime sky and the ground seen from the surface of a body with an atmosphere
+// (see observer.js). Comets give "tail": { "ion", "dust" }, the length of each
+// tail in AU at 1 AU from the star (see comets.js).
+// Optional top-level "asteroidBelt" and "kuiperBelt" entries add belts, and
+// "oortCloud" a distant shell (see asteroidBelt.js and kuiperBelt.js);
+// "missions" lists spacecraft trajectory files (see missions.js).
+
+const DEFAULT_CATALOG_URL = 'data/solar-system.json';
+const BODY_TYPES = ['star', 'planet', 'dwarf', 'comet', 'moon'];
+const SOLAR_MASS = 1.989e30;
+const GRAVITATIONAL_CONSTANT = 6.674e-11;
+const AU_KM = 149597870.7;
+
+function getCatalogUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('catalog') || DEFAULT_CATALOG_URL;
+}
+
+async function loadCatalog(url = getCatalogUrl()) {
+    try {
+        const response = await fetchAsset(url);
+        return normalizeCatalog(await response.json());
+    } catch (error) {
+        if (url !== DEFAULT_CATALOG_URL) {
+            reportAssetProblem(url, 'Catalog could not be loaded, showing the default one', error);
+            return loadCatalog(DEFAULT_CATALOG_URL);
+        }
+        reportAssetProblem(url, 'Catalog could not be loaded', error);
+        throw error;
+    }
+}
+
+// Validate entries and fill in derived values so the scene code can rely on them
+function normalizeCatalog(catalog) {
+    if (!catalog || !Array.isArray(catalog.bodies)) {
+        throw new Error('Catalog must contain a "bodies" array');
+    }
+
+    const byName = new Map();
+    catalog.bodies.forEach(body => {
+        if (!body.name) {
+            throw new Error('Every catalog body needs a name');
+        }
+        if (byName.has(body.name)) {
+            throw new Error(`Duplicate catalog body: ${body.name}`);
+        }
+        if (!BODY_TYPES.includes(body.type)) {
+            throw new Error(`${body.name}: unknown body type "${body.type}"`);
+        }
+        byName.set(body.name, body);
+    });
+
+    catalog.bodies.forEach(body => {
+        if (body.parent && !byName.has(body.parent)) {
+            throw new Error(`${body.name}: parent "${body.parent}" is not in the catalog`);
+        }
+        body.physical = body.physical || {};
+        body.display = Object.assign({ size: 1 }, body.display);
+        body.description = body.description || '';
+
+        // Kepler's third law fills in the period when a catalog only gives a
+        if (body.orbit && !body.orbit.period) {
+            const parent = byName.get(body.parent);
+            const parentMass = (parent && parent.physical && parent.physical.mass) || SOLAR_MASS;
+            const semiMajorAxisKm = orbitsStar(body, byName) ? body.orbit.a * AU_KM : body.orbit.a;
+            const semiMajorAxisM = semiMajorAxisKm * 1000;
+            const periodSeconds = 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxisM, 3) / (GRAVITATIONAL_CONSTANT * parentMass));
+            body.orbit.period = periodSeconds / 86400;
+        }
+        // Moons listed without elements get a circular placeholder orbit
+        if (!body.orbit && body.type === 'moon') {
+            const orbitRadius = body.display.orbitRadius || 3;
+            body.display.orbitRadius = orbitRadius;
+            body.orbit = { a: orbitRadius, period: Math.pow(orbitRadius, 1.5), meanAnomaly: Math.random() * 360 };
+        }
+        // Moons with elements but no drawn distance are spaced by the log of
+        // their true distance in planet radii
+        if (body.type === 'moon' && !(body.display.orbitRadius > 0)) {
+            const parent = byName.get(body.parent);
+            const parentSize = (parent && parent.display && parent.display.size) || 1;
+            const parentRadius = parent && parent.physical && parent.physical.radius;
+            const planetRadii = parentRadius ? body.orbit.a / parentRadius : 1;
+            body.display.orbitRadius = parentSize * (1.5 + Math.log10(Math.max(planetRadii, 1)));
+        }
+        if (body.orbit) {
+            body.orbit = Object.assign({ e: 0, i: 0, node: 0, peri: 0, meanAnomaly: 0 }, body.orbit);
+        }
+    });
+
+    catalog.name = catalog.name || 'Unnamed System';
+    return catalog;
+}
+
+function orbitsStar(body, byName) {
+    const parent = byName.get(body.parent);
+    return !parent || parent.type === 'star';
+}
+
+function findCatalogBody(catalog, name) {
+    return catalog.bodies.find(body => body.name === name);
+}
+
+function catalogChildren(catalog, parentName) {
+    return catalog.bodies.filter(body => body.parent === parentName);
+}
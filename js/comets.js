@@ -0,0 +1,195 @@
+// Comets: a glowing coma and two tails for every comet in the catalog. The blue
+// ion tail is blown straight away from the star by the solar wind; the paler dust
+// tail is pushed more gently, so it lags behind along the orbit and curves.
+// Both switch on as the comet comes inside a few AU and grow towards perihelion,
+// their length going as 1/r² from the catalog's "tail" lengths at 1 AU.
+// Tails are measured in AU and mapped like the orbits, so they stretch with the
+// scale mode.
+
+const COMET_ACTIVE_DISTANCE = 5;      // AU; tails start to show inside this
+const COMET_FULL_ACTIVITY = 1.5;      // AU; and are fully developed inside this
+const COMET_MAX_TAIL_GROWTH = 4;      // 1/r² stops growing at 0.5 AU
+const COMET_TAIL_SEGMENTS = 24;
+const ION_TAIL_WIDTH = 0.05;          // of the tail's length
+const DUST_TAIL_WIDTH = 0.18;
+const DUST_TAIL_LAG = 0.45;           // how far the dust tail swings back along the orbit
+const DUST_TAIL_BEND = 0.2;           // sideways curve at the tip, of the tail's length
+const COMA_RADIUS = 0.6;              // scene units at full activity
+const ION_TAIL_COLOR = 0x7FB2FF;
+const DUST_TAIL_COLOR = 0xFFE9C4;
+
+let comets = [];
+let cometTailsVisible = true;
+
+// Open cone from the nucleus (y = 0) to the tip (y = 1), fading along its length
+// and towards its edges; bend curves it towards local +x
+const TAIL_VERTEX_SHADER = `
+    uniform float bend;
+    varying float vAlong;
+    varying float vFacing;
+    void main() {
+        vAlong = position.y;
+        vec3 bent = position + vec3(bend * position.y * position.y, 0.0, 0.0);
+        vec4 viewPosition = modelViewMatrix * vec4(bent, 1.0);
+        vFacing = abs(dot(normalize(normalMatrix * normal), normalize(-viewPosition.xyz)));
+        gl_Position = projectionMatrix * viewPosition;
+    }
+`;
+
+const TAIL_FRAGMENT_SHADER = `
+    uniform vec3 tailColor;
+    uniform float opacity;
+    varying float vAlong;
+    varying float vFacing;
+    void main() {
+        float glow = opacity * pow(1.0 - vAlong, 1.5) * smoothstep(0.0, 0.05, vAlong) * vFacing;
+        gl_FragColor = vec4(tailColor * glow, glow);
+    }
+`;
+
+// Camera-facing quad like the star's corona, with a soft exponential falloff
+const COMA_VERTEX_SHADER = `
+    varying vec2 vOffset;
+    void main() {
+        vOffset = position.xy;
+        float scale = length(modelMatrix[0].xyz);
+        vec4 center = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+        center.xy += position.xy * scale;
+        gl_Position = projectionMatrix * center;
+    }
+`;
+
+const COMA_FRAGMENT_SHADER = `
+    uniform vec3 comaColor;
+    uniform float opacity;
+    varying vec2 vOffset;
+    void main() {
+        float r = length(vOffset);
+        float glow = opacity * exp(-r * 4.0) * (1.0 - smoothstep(0.7, 1.0, r));
+        gl_FragColor = vec4(comaColor * glow, glow);
+    }
+`;
+
+function createTail(color) {
+    const geometry = new THREE.CylinderGeometry(1, 0.1, 1, 16, COMET_TAIL_SEGMENTS, true);
+    geometry.translate(0, 0.5, 0);
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            tailColor: { value: new THREE.Color(color) },
+            opacity: { value: 0 },
+            bend: { value: 0 }
+        },
+        vertexShader: TAIL_VERTEX_SHADER,
+        fragmentShader: TAIL_FRAGMENT_SHADER,
+        side: THREE.DoubleSide,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const tail = new THREE.Mesh(geometry, material);
+    tail.frustumCulled = false;
+    tail.visible = false;
+    return tail;
+}
+
+function createComa() {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            comaColor: { value: new THREE.Color(0xDDEEFF) },
+            opacity: { value: 0 }
+        },
+        vertexShader: COMA_VERTEX_SHADER,
+        fragmentShader: COMA_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const coma = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    coma.frustumCulled = false;
+    coma.visible = false;
+    return coma;
+}
+
+// Tails and comae hang off each comet's group so they travel with it
+function createComets() {
+    comets = planets.filter(planet => planet.body.type === 'comet').map(planet => {
+        const comet = {
+            planet: planet,
+            tail: Object.assign({ ion: 0, dust: 0 }, planet.body.tail),
+            ionTail: createTail(ION_TAIL_COLOR),
+            dustTail: createTail(DUST_TAIL_COLOR),
+            coma: createComa(),
+            activity: 0
+        };
+        planet.group.add(comet.dustTail, comet.ionTail, comet.coma);
+        return comet;
+    });
+}
+
+// 0 beyond COMET_ACTIVE_DISTANCE, rising to 1 at COMET_FULL_ACTIVITY
+function cometActivity(distance) {
+    const t = (COMET_ACTIVE_DISTANCE - distance) / (COMET_ACTIVE_DISTANCE - COMET_FULL_ACTIVITY);
+    return Math.min(Math.max(t, 0), 1);
+}
+
+// Tail length in AU at a distance from the star
+function cometTailLength(lengthAtOneAU, distance) {
+    return lengthAtOneAU * Math.min(1 / (distance * distance), COMET_MAX_TAIL_GROWTH) * cometActivity(distance);
+}
+
+// Turn a tail's +y along direction, with +x towards side (made perpendicular)
+function orientTail(tail, direction, side) {
+    const x = side.clone().addScaledVector(direction, -side.dot(direction));
+    if (x.lengthSq() < 1e-12) {
+        x.set(0, 1, 0).cross(direction);
+        if (x.lengthSq() < 1e-12) x.set(1, 0, 0);
+    }
+    x.normalize();
+    const z = new THREE.Vector3().crossVectors(x, direction);
+    tail.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, direction, z));
+}
+
+function shapeTail(tail, length, width, opacity, bend) {
+    tail.visible = cometTailsVisible && length > 0;
+    if (!tail.visible) return;
+    tail.scale.set(width, length, width);
+    tail.material.uniforms.opacity.value = opacity;
+    tail.material.uniforms.bend.value = bend * length / width;
+}
+
+function updateComets(date) {
+    comets.forEach(comet => {
+        const { planet } = comet;
+        const position = physicsPositionAU(planet.name) || heliocentricPosition(planet.elements, date);
+        const distance = Math.hypot(...position);
+        comet.activity = cometActivity(distance);
+
+        comet.coma.visible = cometTailsVisible && comet.activity > 0;
+        comet.coma.scale.setScalar(COMA_RADIUS * comet.activity);
+        comet.coma.material.uniforms.opacity.value = comet.activity;
+        if (comet.activity === 0) {
+            comet.ionTail.visible = false;
+            comet.dustTail.visible = false;
+            return;
+        }
+
+        // Tail lengths mapped outwards from the comet's own distance
+        const sceneLength = au => auToScene(distance + au) - auToScene(distance);
+        const ionLength = sceneLength(cometTailLength(comet.tail.ion, distance));
+        const dustLength = sceneLength(cometTailLength(comet.tail.dust, distance));
+
+        const away = planet.group.position.clone().normalize();
+        const behind = eclipticToScene(relativeVelocity(planet.body, date)).normalize().negate();
+        const dustDirection = away.clone().addScaledVector(behind, DUST_TAIL_LAG).normalize();
+
+        orientTail(comet.ionTail, away, behind);
+        orientTail(comet.dustTail, dustDirection, behind);
+        shapeTail(comet.ionTail, ionLength, ionLength * ION_TAIL_WIDTH, comet.activity, 0);
+        shapeTail(comet.dustTail, dustLength, dustLength * DUST_TAIL_WIDTH, comet.activity * 0.8, DUST_TAIL_BEND);
+    });
+}
+
+function setCometTailsVisible(visible) {
+    cometTailsVisible = visible;
+    updateComets(simulationClock.getDate());
+}
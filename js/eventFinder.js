@@ -0,0 +1,419 @@
+// Event finder: searches back and forward from the simulation date for
+// conjunctions and oppositions, transits of the inner planets across the Sun,
+// solar and lunar eclipses, and transits and occultations of Jupiter's moons.
+// Everything is worked out from the catalog orbits as seen from Earth's centre,
+// so times are good to an hour or so and eclipse types near the limits are
+// approximate. Catalogs without an Earth (or a Jupiter) have no such events.
+
+const EVENT_SEARCH_STEP = 1;                 // days; the Moon moves ~12° a day against the Sun
+const EVENT_REFINE_WINDOW = 0.5;             // days either side of a syzygy to look for greatest eclipse
+const EVENT_SEARCH_CHUNK_DAYS = 120;         // searched between screen updates; a whole number of steps
+const GALILEAN_SEARCH_STEP = 1 / 48;         // days
+const GALILEAN_SEARCH_LIMIT = 15;            // days either side; they happen several times a day
+const PLANET_CONJUNCTION_LIMIT = 2;          // degrees; closer planet pairs are listed
+const UMBRA_ENLARGEMENT = 1.02;              // Earth's atmosphere widens its shadow
+const NEXT_EVENT_MARGIN = 1 / 24;            // days, so repeated clicks move on
+const NOTABLE_SEARCH_DAYS = 3 * 365.25;
+const NOTABLE_EVENT_TYPES = ['solarEclipse', 'lunarEclipse', 'transit', 'opposition', 'planetConjunction'];
+const EVENT_OBSERVER_VIEW_RADII = 1.5;       // camera height above the observer, in its radii
+const EVENT_CLOSE_VIEW_RADII = 10;           // camera distance from a close-up target
+
+const EVENT_SEARCH_RANGES = [
+    { label: '± 1 month', days: 30 },
+    { label: '± 1 year', days: 365.25 },
+    { label: '± 10 years', days: 3652.5 }
+];
+
+const EVENT_FILTERS = [
+    { label: 'All events', types: ['conjunction', 'opposition', 'planetConjunction', 'transit', 'solarEclipse', 'lunarEclipse', 'galilean'] },
+    { label: 'Conjunctions and oppositions', types: ['conjunction', 'opposition', 'planetConjunction'] },
+    { label: 'Transits of Mercury and Venus', types: ['transit'] },
+    { label: 'Eclipses', types: ['solarEclipse', 'lunarEclipse'] },
+    { label: "Jupiter's moons", types: ['galilean'] }
+];
+
+function dateFromDays(days) {
+    return new Date(J2000 + days * MS_PER_DAY);
+}
+
+function observerBody() {
+    return findCatalogBody(catalog, OBSERVER_BODY);
+}
+
+// Only true planets are searched; dwarf planets and comets would swamp the list
+function eventPlanets() {
+    const observer = observerBody();
+    return planets.map(planet => planet.body).filter(body => body.type === 'planet' && body !== observer);
+}
+
+// Position relative to the observer, in AU
+function observedPosition(body, date) {
+    const origin = bodyPositionAU(observerBody(), date);
+    return bodyPositionAU(body, date).map((value, k) => value - origin[k]);
+}
+
+function eclipticLongitudeOf(position) {
+    return Math.atan2(position[1], position[0]);
+}
+
+function angularRadius(body, distanceAU) {
+    return Math.asin(Math.min(1, body.physical.radius / (distanceAU * AU_KM)));
+}
+
+// Time of the smallest f(t) within window days of t (ternary search)
+function refineMinimum(f, t, window) {
+    let low = t - window;
+    let high = t + window;
+    for (let i = 0; i < 40; i++) {
+        const a = low + (high - low) / 3;
+        const b = high - (high - low) / 3;
+        if (f(a) < f(b)) high = b;
+        else low = a;
+    }
+    return (low + high) / 2;
+}
+
+function createEvent(type, days, title, detail, view) {
+    return { type: type, date: dateFromDays(days), title: title, detail: detail, view: view };
+}
+
+// Conjunctions with the Sun, oppositions, and transits at inferior conjunction
+function findSunEvents(start, end) {
+    const observer = observerBody();
+    const star = sunObject.body;
+    const events = [];
+
+    eventPlanets().forEach(body => {
+        const inner = body.orbit.a < observer.orbit.a;
+        const elongation = days => {
+            const date = dateFromDays(days);
+            return normalizeAngle(eclipticLongitudeOf(observedPosition(body, date)) - eclipticLongitudeOf(observedPosition(star, date)));
+        };
+        const separation = days => {
+            const date = dateFromDays(days);
+            return angleBetween(observedPosition(body, date), observedPosition(star, date));
+        };
+
+        findCrossings(elongation, start, end, EVENT_SEARCH_STEP).forEach(days => {
+            const date = dateFromDays(days);
+            const planetDistance = vectorLength(observedPosition(body, date));
+            const starDistance = vectorLength(observedPosition(star, date));
+            const view = { from: observer.name, at: star.name };
+            if (!inner) {
+                events.push(createEvent('conjunction', days, `${body.name} in conjunction with the ${star.name}`,
+                    `Behind the ${star.name}, ${formatDistanceAU(planetDistance)} away`, view));
+                return;
+            }
+            if (planetDistance > starDistance) {
+                events.push(createEvent('conjunction', days, `${body.name} at superior conjunction`,
+                    `Behind the ${star.name}, ${formatDistanceAU(planetDistance)} away`, view));
+                return;
+            }
+            // An inferior conjunction close enough to the Sun's centre is a transit
+            const greatest = refineMinimum(separation, days, EVENT_REFINE_WINDOW);
+            const closest = separation(greatest);
+            if (closest < angularRadius(star, starDistance) + angularRadius(body, planetDistance)) {
+                events.push(createEvent('transit', greatest, `Transit of ${body.name}`,
+                    `Crosses the ${star.name}'s disc ${formatAngle(closest)} from its centre`, view));
+            } else {
+                events.push(createEvent('conjunction', days, `${body.name} at inferior conjunction`,
+                    `${formatAngle(closest)} from the ${star.name}`, view));
+            }
+        });
+
+        if (!inner) {
+            findCrossings(days => normalizeAngle(elongation(days) - Math.PI), start, end, EVENT_SEARCH_STEP).forEach(days => {
+                const distance = vectorLength(observedPosition(body, dateFromDays(days)));
+                events.push(createEvent('opposition', days, `${body.name} at opposition`,
+                    `Opposite the ${star.name} and closest for the year, ${formatDistanceAU(distance)} away`,
+                    { from: observer.name, at: body.name }));
+            });
+        }
+    });
+    return events;
+}
+
+// Pairs of planets passing close to each other in the sky
+function findPlanetConjunctions(start, end) {
+    const observer = observerBody();
+    const bodies = eventPlanets();
+    const events = [];
+
+    bodies.forEach((a, i) => {
+        bodies.slice(i + 1).forEach(b => {
+            const offset = days => {
+                const date = dateFromDays(days);
+                return normalizeAngle(eclipticLongitudeOf(observedPosition(a, date)) - eclipticLongitudeOf(observedPosition(b, date)));
+            };
+            findCrossings(offset, start, end, EVENT_SEARCH_STEP).forEach(days => {
+                const date = dateFromDays(days);
+                const separation = angleBetween(observedPosition(a, date), observedPosition(b, date));
+                if (separation / DEG_TO_RAD > PLANET_CONJUNCTION_LIMIT) return;
+                const elongation = angleBetween(observedPosition(a, date), observedPosition(sunObject.body, date));
+                events.push(createEvent('planetConjunction', days, `${a.name} and ${b.name} in conjunction`,
+                    `${formatAngle(separation)} apart, ${formatAngle(elongation)} from the ${sunObject.body.name}`,
+                    { from: observer.name, at: a.name }));
+            });
+        });
+    });
+    return events;
+}
+
+// Solar eclipses at new moon, lunar eclipses at full moon
+function findEclipses(start, end) {
+    const observer = observerBody();
+    const star = sunObject.body;
+    const events = [];
+
+    catalogChildren(catalog, observer.name).forEach(moon => {
+        const phase = days => {
+            const date = dateFromDays(days);
+            return normalizeAngle(eclipticLongitudeOf(observedPosition(moon, date)) - eclipticLongitudeOf(observedPosition(star, date)));
+        };
+        const geometry = days => {
+            const date = dateFromDays(days);
+            const moonPosition = observedPosition(moon, date);
+            const starPosition = observedPosition(star, date);
+            const moonDistance = vectorLength(moonPosition);
+            const starDistance = vectorLength(starPosition);
+            return {
+                moonPosition: moonPosition,
+                starPosition: starPosition,
+                moonRadius: angularRadius(moon, moonDistance),
+                starRadius: angularRadius(star, starDistance),
+                moonParallax: angularRadius(observer, moonDistance),
+                starParallax: angularRadius(observer, starDistance)
+            };
+        };
+
+        findCrossings(phase, start, end, EVENT_SEARCH_STEP).forEach(days => {
+            const separation = t => {
+                const g = geometry(t);
+                return angleBetween(g.moonPosition, g.starPosition);
+            };
+            const greatest = refineMinimum(separation, days, EVENT_REFINE_WINDOW);
+            const g = geometry(greatest);
+            const distance = separation(greatest);
+            if (distance > g.moonParallax + g.moonRadius + g.starRadius) return;
+
+            // Central when the shadow's axis meets the observer's globe
+            let kind = 'Partial';
+            if (distance < g.moonParallax) kind = g.moonRadius > g.starRadius ? 'Total' : 'Annular';
+            events.push(createEvent('solarEclipse', greatest, `${kind} solar eclipse`,
+                `${moon.name} covers ${Math.round(100 * Math.min(1, g.moonRadius / g.starRadius))}% of the ${star.name}'s width at most`,
+                { from: observer.name, at: star.name }));
+        });
+
+        findCrossings(days => normalizeAngle(phase(days) - Math.PI), start, end, EVENT_SEARCH_STEP).forEach(days => {
+            const separation = t => {
+                const g = geometry(t);
+                return angleBetween(g.moonPosition, g.starPosition.map(value => -value));
+            };
+            const greatest = refineMinimum(separation, days, EVENT_REFINE_WINDOW);
+            const g = geometry(greatest);
+            const distance = separation(greatest);
+            const umbra = UMBRA_ENLARGEMENT * (g.moonParallax + g.starParallax - g.starRadius);
+            const penumbra = UMBRA_ENLARGEMENT * (g.moonParallax + g.starParallax + g.starRadius);
+
+            let kind = null;
+            if (distance + g.moonRadius < umbra) kind = 'Total';
+            else if (distance - g.moonRadius < umbra) kind = 'Partial';
+            else if (distance - g.moonRadius < penumbra) kind = 'Penumbral';
+            if (!kind) return;
+            events.push(createEvent('lunarEclipse', greatest, `${kind} lunar eclipse`,
+                `${moon.name} passes ${formatAngle(distance)} from the centre of ${observer.name}'s shadow`,
+                { from: observer.name, at: moon.name, close: true }));
+        });
+    });
+    return events;
+}
+
+// Jupiter's moons crossing in front of the planet or hidden behind it, as seen
+// from the observer, allowing for the light travel time
+function findGalileanEvents(start, end) {
+    const jupiter = findCatalogBody(catalog, 'Jupiter');
+    const observer = observerBody();
+    if (!jupiter || !observer) return [];
+    const events = [];
+
+    const aspect = (moon, days) => {
+        const date = dateFromDays(days);
+        const lightDays = (vectorLength(observedPosition(jupiter, date)) * AU_KM) / SPEED_OF_LIGHT / 86400;
+        const emitted = dateFromDays(days - lightDays);
+        const observerPosition = bodyPositionAU(observer, date);
+        const lineOfSight = bodyPositionAU(jupiter, emitted).map((value, k) => value - observerPosition[k]);
+        const direction = lineOfSight.map(value => value / vectorLength(lineOfSight));
+        const offset = satellitePosition(moon.orbit, emitted, jupiter.pole);
+        const along = dotProduct(offset, direction);
+        const across = vectorLength(offset.map((value, k) => value - along * direction[k]));
+        return { behind: along > 0, radii: across / jupiter.physical.radius };
+    };
+
+    catalogChildren(catalog, jupiter.name).forEach(moon => {
+        const crossings = findCrossings(days => aspect(moon, days).radii - 1, start, end, GALILEAN_SEARCH_STEP);
+        crossings.forEach((days, i) => {
+            // Pair each disc contact with the next; skip one that starts before the search
+            if (aspect(moon, days + GALILEAN_SEARCH_STEP / 10).radii > 1 || i + 1 >= crossings.length) return;
+            const duration = crossings[i + 1] - days;
+            const { behind } = aspect(moon, days + duration / 2);
+            events.push(createEvent('galilean', days,
+                behind ? `${moon.name} occulted by ${jupiter.name}` : `${moon.name} transits ${jupiter.name}`,
+                `${behind ? 'Hidden' : 'In front of the disc'} for ${formatDays(duration)}`,
+                { from: observer.name, at: jupiter.name, close: true }));
+        });
+    });
+    return events;
+}
+
+function findEventsBetween(start, end, types) {
+    const events = [];
+    if (types.some(type => ['conjunction', 'opposition', 'transit'].includes(type))) events.push(...findSunEvents(start, end));
+    if (types.includes('planetConjunction')) events.push(...findPlanetConjunctions(start, end));
+    if (types.includes('solarEclipse') || types.includes('lunarEclipse')) events.push(...findEclipses(start, end));
+    return events;
+}
+
+// Resolves after the browser has had a turn to handle input and repaint. The
+// exporter uses it between frames too.
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Searches a few months at a time and yields between them, so a long range does
+// not freeze the page; onProgress gets the fraction done. Jupiter's moons are
+// searched separately with findGalileanEvents, over a few days at most.
+async function findEvents(start, end, types, onProgress = () => {}) {
+    const events = [];
+    if (!observerBody()) return events;
+    onProgress(0);
+    for (let from = start; from < end; from += EVENT_SEARCH_CHUNK_DAYS) {
+        // Half a step over, so the chunk's last step is not lost to rounding; the
+        // next chunk starts from that step and so cannot find the same crossing
+        const to = Math.min(from + EVENT_SEARCH_CHUNK_DAYS + EVENT_SEARCH_STEP / 2, end);
+        events.push(...findEventsBetween(from, to, types));
+        onProgress(Math.min((from + EVENT_SEARCH_CHUNK_DAYS - start) / (end - start), 1));
+        await nextTask();
+    }
+    return events.filter(event => types.includes(event.type)).sort((a, b) => a.date - b.date);
+}
+
+// Only the latest search may write to the panel
+let eventSearchId = 0;
+
+function showEventProgress(label) {
+    const status = document.getElementById('event-status');
+    return fraction => {
+        status.textContent = `${label} ${Math.round(fraction * 100)}%`;
+    };
+}
+
+// Just off the observer's surface looking at the target, or close to the target
+// on the observer's line of sight
+function eventViewPose(event) {
+    const from = findBodyObject(event.view.from);
+    const at = findBodyObject(event.view.at);
+    const origin = from.group.getWorldPosition(new THREE.Vector3());
+    const target = at.group.getWorldPosition(new THREE.Vector3());
+    const direction = target.clone().sub(origin).normalize();
+    if (event.view.close) {
+        return { position: target.clone().addScaledVector(direction, -planetSceneRadius(at.body) * EVENT_CLOSE_VIEW_RADII), target: target };
+    }
+    return { position: origin.addScaledVector(direction, planetSceneRadius(from.body) * EVENT_OBSERVER_VIEW_RADII), target: target };
+}
+
+// Stop the clock at the event and look at it the way the observer would
+function viewEvent(event) {
+    jumpToDate(event.date);
+    simulationClock.pause();
+    updateTimeControls();
+    showPlanetInfo(event.view.at, `${event.title}: ${event.detail}.`);
+    startCameraFlight(() => eventViewPose(event), null);
+}
+
+async function showNextNotableEvent() {
+    const searchId = ++eventSearchId;
+    const panel = document.getElementById('events-panel');
+    const status = document.getElementById('event-status');
+    const now = daysSinceJ2000(simulationClock.getDate());
+    panel.classList.remove('hidden');
+    document.getElementById('event-list').innerHTML = '';
+
+    const events = await findEvents(now + NEXT_EVENT_MARGIN, now + NOTABLE_SEARCH_DAYS, NOTABLE_EVENT_TYPES,
+        showEventProgress('Looking for the next notable alignment…'));
+    if (searchId !== eventSearchId) return;
+    if (events.length === 0) {
+        const message = observerBody()
+            ? `No notable alignment in the next ${Math.round(NOTABLE_SEARCH_DAYS / 365.25)} years`
+            : 'No events for this system';
+        status.textContent = message;
+        announce(message);
+        return;
+    }
+    status.textContent = `Next notable alignment: ${events[0].title}`;
+    viewEvent(events[0]);
+}
+
+async function searchEvents() {
+    const searchId = ++eventSearchId;
+    const range = EVENT_SEARCH_RANGES[document.getElementById('event-range').value];
+    const types = EVENT_FILTERS[document.getElementById('event-type').value].types;
+    const now = daysSinceJ2000(simulationClock.getDate());
+
+    const events = await findEvents(now - range.days, now + range.days, types.filter(type => type !== 'galilean'),
+        showEventProgress('Searching…'));
+    if (searchId !== eventSearchId) return;
+    if (types.includes('galilean')) {
+        const days = Math.min(range.days, GALILEAN_SEARCH_LIMIT);
+        events.push(...findGalileanEvents(now - days, now + days));
+        events.sort((a, b) => a.date - b.date);
+    }
+
+    const list = document.getElementById('event-list');
+    list.innerHTML = '';
+    if (!observerBody()) {
+        list.appendChild(document.createElement('li')).textContent = 'No events for this system';
+        document.getElementById('event-status').textContent = `Events are seen from ${OBSERVER_BODY}, which is not in this catalog.`;
+        return;
+    }
+    events.forEach(event => {
+        const button = document.createElement('button');
+        button.textContent = `${formatSimulationDate(event.date)} ${event.title}`;
+        button.title = event.detail;
+        button.addEventListener('click', () => viewEvent(event));
+        const item = document.createElement('li');
+        item.classList.toggle('past', daysSinceJ2000(event.date) < now);
+        list.appendChild(item).appendChild(button);
+    });
+
+    const galileanNote = types.includes('galilean') && range.days > GALILEAN_SEARCH_LIMIT
+        ? ` (Jupiter's moons within ${GALILEAN_SEARCH_LIMIT} days)` : '';
+    document.getElementById('event-status').textContent = `${events.length} events${galileanNote}`;
+}
+
+function initEventFinder() {
+    const panel = document.getElementById('events-panel');
+    const rangeSelect = document.getElementById('event-range');
+    const typeSelect = document.getElementById('event-type');
+
+    EVENT_SEARCH_RANGES.forEach((range, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = range.label;
+        rangeSelect.appendChild(option);
+    });
+    rangeSelect.value = 1;
+    EVENT_FILTERS.forEach((filter, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = filter.label;
+        typeSelect.appendChild(option);
+    });
+
+    document.getElementById('open-events').addEventListener('click', () => {
+        panel.classList.remove('hidden');
+        searchEvents();
+    });
+    document.getElementById('event-search').addEventListener('click', searchEvents);
+    document.getElementById('events-close').addEventListener('click', () => panel.classList.add('hidden'));
+    document.getElementById('next-alignment').addEventListener('click', showNextNotableEvent);
+}
@@ -0,0 +1,409 @@
+// Export: still images of the main view at any resolution, WebM recordings of the
+// canvas, and frame sequences rendered on a fixed simulation time step.
+// Large images are rendered in tiles with a view offset on the camera, so the size
+// is limited by the 2D canvas they are stitched into rather than by WebGL.
+// Labels and panels are HTML on top of the canvas, so they are not exported.
+
+const EXPORT_MAX_SIZE = 16384;           // px, per side of the stitched image
+const EXPORT_MAX_TILE = 2048;            // px, per side of one WebGL render
+const EXPORT_MAX_FRAMES = 3600;
+const EXPORT_ZIP_PART_BYTES = 512 * 1024 * 1024; // a sequence is split into ZIPs of about this size
+const EXPORT_INSET_FRACTION = 0.3;       // inset side as a fraction of the image height
+const EXPORT_VIDEO_BITRATE = 8000000;    // bits per second
+const EXPORT_VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const EXPORT_SIZE_PRESETS = [
+    { label: 'Window', size: () => [window.innerWidth, window.innerHeight] },
+    { label: 'Window ×2', size: () => [window.innerWidth * 2, window.innerHeight * 2] },
+    { label: '1280 × 720', size: () => [1280, 720] },
+    { label: '1920 × 1080', size: () => [1920, 1080] },
+    { label: '3840 × 2160', size: () => [3840, 2160] },
+    { label: '7680 × 4320', size: () => [7680, 4320] }
+];
+
+const exportState = {
+    busy: false,
+    sequence: null,    // { cancelled } while a frame sequence is rendering
+    recording: null    // { recorder, stream, chunks } while a video is recording
+};
+
+function isExportingSequence() {
+    return Boolean(exportState.sequence);
+}
+
+// Render the current view at width × height into a 2D canvas. With includeInset
+// the selected body's close-up is drawn into the bottom-left corner.
+function renderViewImage(width, height, includeInset) {
+    const view = currentView();
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const aspect = view.camera.aspect;
+    const tile = Math.min(EXPORT_MAX_TILE, renderer.capabilities.maxTextureSize || EXPORT_MAX_TILE);
+
+    renderer.setPixelRatio(1);
+    view.camera.aspect = width / height;
+    try {
+        for (let y = 0; y < height; y += tile) {
+            for (let x = 0; x < width; x += tile) {
+                const tileWidth = Math.min(tile, width - x);
+                const tileHeight = Math.min(tile, height - y);
+                view.camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                renderer.setSize(tileWidth, tileHeight, false);
+                renderer.render(view.scene, view.camera);
+                context.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+            }
+        }
+    } finally {
+        view.camera.clearViewOffset();
+        view.camera.aspect = aspect;
+        view.camera.updateProjectionMatrix();
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(size.x, size.y, false);
+    }
+
+    if (includeInset && selectedPlanet) {
+        drawInset(context, Math.round(height * EXPORT_INSET_FRACTION), Math.round(height * 0.02));
+    }
+    return output;
+}
+
+function drawInset(context, side, margin) {
+    const size = planetRenderer.getSize(new THREE.Vector2());
+    const top = context.canvas.height - side - margin;
+    planetRenderer.setSize(side, side, false);
+    try {
+        renderInsetViews();
+        context.drawImage(planetRenderer.domElement, 0, 0, side, side, margin, top, side, side);
+    } finally {
+        planetRenderer.setSize(size.x, size.y, false);
+    }
+    context.strokeStyle = '#00FFFF';
+    context.lineWidth = Math.max(1, side / 300);
+    context.strokeRect(margin, top, side, side);
+}
+
+function canvasToPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image'))), 'image/png');
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "the-sol-system-2026-10-18-1403.png": catalog name and simulated date
+function exportFileName(suffix) {
+    const iso = simulationClock.getDate().toISOString();
+    const stamp = `${iso.slice(0, 10)}-${iso.slice(11, 13)}${iso.slice(14, 16)}`;
+    const name = catalog.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${name}-${stamp}${suffix}`;
+}
+
+function readExportSize() {
+    const clamp = value => Math.max(1, Math.min(EXPORT_MAX_SIZE, Math.round(value) || 1));
+    return [
+        clamp(parseFloat(document.getElementById('export-width').value)),
+        clamp(parseFloat(document.getElementById('export-height').value))
+    ];
+}
+
+function setExportStatus(text) {
+    document.getElementById('export-status').textContent = text;
+}
+
+async function exportScreenshot() {
+    if (exportState.busy) return;
+    const [width, height] = readExportSize();
+    const includeInset = document.getElementById('export-inset').checked;
+    exportState.busy = true;
+    updateExportButtons();
+    setExportStatus(`Rendering ${width} × ${height}…`);
+    try {
+        const blob = await canvasToPNG(renderViewImage(width, height, includeInset));
+        downloadBlob(blob, exportFileName('.png'));
+        setExportStatus(`Saved a ${width} × ${height} PNG.`);
+    } catch (error) {
+        console.error('Error exporting image:', error);
+        setExportStatus(`Export failed: ${error.message}`);
+    } finally {
+        exportState.busy = false;
+        updateExportButtons();
+    }
+}
+
+// Set the clock for a frame. The integrator walks large steps in bounded chunks
+// and holds the clock back meanwhile, so keep going until it has arrived.
+async function settleFrameDate(date) {
+    simulationClock.setDate(date);
+    updatePhysics(date);
+    while (isPhysicsActive() && physicsState.behind && !exportState.sequence.cancelled) {
+        await nextTask();
+        simulationClock.setDate(date);
+        updatePhysics(date);
+    }
+}
+
+// Render frames at start + n × step of simulated time, with the visual effects
+// advanced by exactly 1 / fps per frame and the star's effects restarted from a
+// seed, so the same settings give the same frames whatever the real frame rate. The frames are packed into ZIP files as they are
+// rendered, and each one is downloaded once it reaches EXPORT_ZIP_PART_BYTES, so
+// long runs are never held in memory at once. The last one also holds a
+// description of the run.
+async function exportFrameSequence() {
+    if (exportState.busy) return;
+    const [width, height] = readExportSize();
+    const includeInset = document.getElementById('export-inset').checked;
+    const frames = Math.max(1, Math.min(EXPORT_MAX_FRAMES, parseInt(document.getElementById('export-frames').value) || 1));
+    const stepDays = parseFloat(document.getElementById('export-step').value) || 0;
+    const fps = Math.max(1, parseFloat(document.getElementById('export-fps').value) || 30);
+    const start = simulationClock.getDate();
+    const wasPaused = simulationClock.paused;
+    const baseName = exportFileName('-frames');
+
+    exportState.busy = true;
+    exportState.sequence = { cancelled: false };
+    simulationClock.pause();
+    restartSunEffects(seededRandom(`${start.toISOString()} ${stepDays} ${fps}`));
+    updateExportButtons();
+
+    let zip = createZipWriter();
+    let part = 1;
+    let rendered = 0;
+    try {
+        for (let frame = 0; frame < frames && !exportState.sequence.cancelled; frame++) {
+            await settleFrameDate(new Date(start.getTime() + frame * stepDays * MS_PER_DAY));
+            updateScene(1 / fps);
+            const blob = await canvasToPNG(renderViewImage(width, height, includeInset));
+            await zip.add(`frame-${String(frame).padStart(5, '0')}.png`, blob);
+            rendered++;
+            if (zip.size >= EXPORT_ZIP_PART_BYTES) {
+                downloadBlob(zip.finish(), `${baseName}-${part++}.zip`);
+                zip = createZipWriter();
+            }
+            setExportStatus(`Rendered frame ${frame + 1} / ${frames}`);
+            await nextTask();
+        }
+        if (rendered > 0) {
+            const description = {
+                catalog: catalog.name,
+                start: start.toISOString(),
+                stepDays: stepDays,
+                framesPerSecond: fps,
+                frames: rendered,
+                files: part,
+                width: width,
+                height: height,
+                physics: isPhysicsActive()
+            };
+            await zip.add('sequence.json', new Blob([JSON.stringify(description, null, 2)], { type: 'application/json' }));
+            downloadBlob(zip.finish(), part === 1 ? `${baseName}.zip` : `${baseName}-${part}.zip`);
+            const cancelled = exportState.sequence.cancelled ? ' (cancelled)' : '';
+            const split = part === 1 ? '' : ` in ${part} ZIP files`;
+            setExportStatus(`Saved ${rendered} frames${split}${cancelled}.`);
+        }
+    } catch (error) {
+        console.error('Error exporting frame sequence:', error);
+        setExportStatus(`Export failed: ${error.message}`);
+    } finally {
+        exportState.sequence = null;
+        exportState.busy = false;
+        sunEffectsRandom = Math.random;
+        if (!wasPaused) simulationClock.resume();
+        // Drop the real time that passed while rendering so the clock does not jump
+        clock.getDelta();
+        updateTimeControls();
+        updateExportButtons();
+    }
+}
+
+function cancelFrameSequence() {
+    if (exportState.sequence) exportState.sequence.cancelled = true;
+}
+
+// Record the canvas as it plays. The clock keeps its current rate, so a time-lapse
+// is set up with the time controls before pressing record.
+function startRecording() {
+    const canvas = renderer.domElement;
+    const mimeType = window.MediaRecorder && EXPORT_VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !canvas.captureStream) {
+        setExportStatus('This browser cannot record WebM video.');
+        return;
+    }
+    const fps = Math.max(1, parseFloat(document.getElementById('export-fps').value) || 30);
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: EXPORT_VIDEO_BITRATE });
+    const recording = { recorder: recorder, stream: stream, chunks: [], started: performance.now() };
+
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) recording.chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop());
+        downloadBlob(new Blob(recording.chunks, { type: 'video/webm' }), exportFileName('.webm'));
+        const seconds = (performance.now() - recording.started) / 1000;
+        setExportStatus(`Saved ${seconds.toFixed(1)} s of video.`);
+        exportState.recording = null;
+        exportState.busy = false;
+        updateExportButtons();
+    });
+
+    exportState.recording = recording;
+    exportState.busy = true;
+    recorder.start(1000);
+    setExportStatus(`Recording at ${formatTimeRate(simulationClock.rate)}…`);
+    updateExportButtons();
+}
+
+function stopRecording() {
+    if (exportState.recording && exportState.recording.recorder.state !== 'inactive') {
+        exportState.recording.recorder.stop();
+    }
+}
+
+function updateExportButtons() {
+    const recording = Boolean(exportState.recording);
+    const sequence = isExportingSequence();
+    document.getElementById('export-png').disabled = exportState.busy;
+    document.getElementById('export-sequence').disabled = exportState.busy;
+    document.getElementById('export-cancel').classList.toggle('hidden', !sequence);
+    document.getElementById('export-record').disabled = exportState.busy && !recording;
+    document.getElementById('export-record').textContent = recording ? 'Stop Recording' : 'Record WebM';
+}
+
+// ZIP files are stored uncompressed. PNG is already compressed, so storing is as
+// small as deflating would be. Timestamps are fixed so reruns are identical.
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Files are added to the archive one at a time, so a caller can finish it and
+// start another before it grows too big. Without ZIP64, sizes and offsets are 32-bit and
+// there are at most 65535 entries; add throws rather than pass either limit.
+function createZipWriter() {
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1;   // 1980-01-01
+    const ZIP_MAX_BYTES = 0xFFFFFFFF;
+    const ZIP_MAX_ENTRIES = 0xFFFF;
+    const parts = [];
+    const directory = [];
+
+    return {
+        size: 0,        // bytes of local headers and data so far
+        count: 0,
+
+        async add(fileName, blob) {
+            const name = new TextEncoder().encode(fileName);
+            const entrySize = 30 + name.length + blob.size;
+            if (this.count >= ZIP_MAX_ENTRIES || this.size + entrySize + 46 * (this.count + 1) > ZIP_MAX_BYTES) {
+                throw new Error('ZIP file would pass 4 GB or 65535 files');
+            }
+            const data = new Uint8Array(await blob.arrayBuffer());
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);            // version needed
+            local.setUint16(10, 0, true);            // time
+            local.setUint16(12, DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);  // stored size
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);            // version made by
+            entry.setUint16(6, 20, true);            // version needed
+            entry.setUint16(14, DOS_DATE, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, this.size, true);
+            directory.push(entry, name);
+
+            this.size += entrySize;
+            this.count++;
+        },
+
+        finish() {
+            const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, this.count, true);
+            end.setUint16(10, this.count, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, this.size, true);
+            return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+        }
+    };
+}
+
+function initExporter() {
+    const panel = document.getElementById('export-panel');
+    const presetSelect = document.getElementById('export-size');
+    const widthInput = document.getElementById('export-width');
+    const heightInput = document.getElementById('export-height');
+
+    EXPORT_SIZE_PRESETS.forEach((preset, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    const applyPreset = () => {
+        const [width, height] = EXPORT_SIZE_PRESETS[parseInt(presetSelect.value)].size();
+        widthInput.value = width;
+        heightInput.value = height;
+    };
+    presetSelect.value = 1;
+    applyPreset();
+    presetSelect.addEventListener('change', applyPreset);
+
+    document.getElementById('open-export').addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+    });
+    document.getElementById('export-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+    document.getElementById('export-png').addEventListener('click', exportScreenshot);
+    document.getElementById('export-sequence').addEventListener('click', exportFrameSequence);
+    document.getElementById('export-cancel').addEventListener('click', cancelFrameSequence);
+    document.getElementById('export-record').addEventListener('click', () => {
+        if (exportState.recording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+    updateExportButtons();
+}
@@ -0,0 +1,139 @@
+// Data table for the selected body, refreshed while the simulation runs, and a
+// compare mode that shows a second body beside it. In compare mode both inset
+// views use the same km per pixel, so their sizes can be compared directly.
+
+const INFO_REFRESH_INTERVAL = 0.25;  // seconds between live value updates
+const INSET_VIEW_DIRECTION = new THREE.Vector3(5, 3, 5).normalize();
+const COMPARE_VIEW_DISTANCE = 3.5;   // camera distance in radii of the larger body
+
+let compareObject = null;
+let compareCamera, compareRenderer;
+let infoRefreshElapsed = 0;
+
+function initInfoPanel() {
+    compareCamera = new THREE.PerspectiveCamera(60, 1, 0.05, 5000);
+    compareRenderer = new THREE.WebGLRenderer({ antialias: true });
+    compareRenderer.setSize(300, 300);
+    const compareViewContainer = document.createElement('div');
+    compareViewContainer.id = 'compare-view';
+    compareViewContainer.className = 'hidden';
+    compareViewContainer.appendChild(compareRenderer.domElement);
+    document.body.appendChild(compareViewContainer);
+
+    [document.getElementById('planet-view'), compareViewContainer].forEach(container => {
+        const caption = document.createElement('div');
+        caption.className = 'inset-caption';
+        container.appendChild(caption);
+    });
+
+    const compareSelect = document.getElementById('compare-select');
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'None';
+    compareSelect.appendChild(none);
+    catalog.bodies.filter(body => findBodyObject(body.name)).forEach(body => {
+        const option = document.createElement('option');
+        option.value = body.name;
+        option.textContent = body.name;
+        compareSelect.appendChild(option);
+    });
+    compareSelect.addEventListener('change', (e) => setCompareBody(e.target.value || null));
+}
+
+function setCompareBody(name) {
+    compareObject = name ? findBodyObject(name) : null;
+    document.getElementById('compare-select').value = compareObject ? compareObject.name : '';
+    renderBodyData();
+}
+
+function isComparing() {
+    return Boolean(selectedPlanet && compareObject && compareObject !== selectedPlanet);
+}
+
+// One column per body; rows missing for one of them show a dash
+function renderBodyData() {
+    updateInsetVisibility();
+    if (!selectedPlanet) return;
+
+    const date = simulationClock.getDate();
+    const objects = isComparing() ? [selectedPlanet, compareObject] : [selectedPlanet];
+    const columns = objects.map(object => new Map([...physicalDataRows(object.body), ...liveDataRows(object.body, date)]));
+    const labels = [...new Set(columns.flatMap(column => [...column.keys()]))];
+
+    const table = document.getElementById('planet-data');
+    table.innerHTML = '';
+    if (objects.length > 1) {
+        const header = table.insertRow();
+        header.appendChild(document.createElement('th'));
+        objects.forEach(object => {
+            const cell = document.createElement('th');
+            cell.textContent = object.name;
+            header.appendChild(cell);
+        });
+    }
+    labels.forEach(label => {
+        const row = table.insertRow();
+        const heading = document.createElement('th');
+        heading.textContent = label;
+        row.appendChild(heading);
+        columns.forEach(column => {
+            row.insertCell().textContent = column.has(label) ? column.get(label) : '—';
+        });
+    });
+
+    const captions = document.querySelectorAll('.inset-caption');
+    captions[0].textContent = objects.length > 1 ? selectedPlanet.name : '';
+    captions[1].textContent = objects.length > 1 ? compareObject.name : '';
+}
+
+function updateInsetVisibility() {
+    document.getElementById('compare-view').classList.toggle('hidden', !isComparing());
+}
+
+// Called every frame; live values only need a few updates a second
+function updateInfoPanel(delta) {
+    infoRefreshElapsed += delta;
+    if (infoRefreshElapsed < INFO_REFRESH_INTERVAL) return;
+    infoRefreshElapsed = 0;
+    if (selectedPlanet) renderBodyData();
+}
+
+// Default inset framing: a fixed offset scaled with the body
+function insetCameraOffset(object) {
+    const observerOffset = observerInsetOffset(object);
+    if (observerOffset) return observerOffset;
+    const cameraOffset = new THREE.Vector3(5, 3, 5);
+    if (object.body.type === 'moon' || object.body.type === 'spacecraft') {
+        return cameraOffset.multiplyScalar(planetSceneRadius(object.body));
+    }
+    return cameraOffset.multiplyScalar(planetSceneRadius(object.body) / object.body.display.size);
+}
+
+// Camera distances that give both bodies the same km per pixel
+function sameScaleDistances(a, b) {
+    const radiusA = a.body.physical.radius;
+    const radiusB = b.body.physical.radius;
+    if (!radiusA || !radiusB) return null;
+    const viewKm = COMPARE_VIEW_DISTANCE * Math.max(radiusA, radiusB);
+    return [a, b].map(object => (viewKm * planetSceneRadius(object.body)) / object.body.physical.radius);
+}
+
+function placeInsetCamera(insetCamera, object, distance) {
+    const position = object.group.getWorldPosition(new THREE.Vector3());
+    const offset = distance ? INSET_VIEW_DIRECTION.clone().multiplyScalar(distance) : insetCameraOffset(object);
+    insetCamera.position.copy(position).add(offset);
+    insetCamera.lookAt(position);
+}
+
+function renderInsetViews() {
+    if (!selectedPlanet) return;
+    const distances = isComparing() ? sameScaleDistances(selectedPlanet, compareObject) : null;
+
+    placeInsetCamera(planetCamera, selectedPlanet, distances && distances[0]);
+    planetRenderer.render(scene, planetCamera);
+
+    if (isComparing()) {
+        placeInsetCamera(compareCamera, compareObject, distances && distances[1]);
+        compareRenderer.render(scene, compareCamera);
+    }
+}
@@ -0,0 +1,186 @@
+// Outer belts: the Kuiper belt and a hint of the Oort cloud.
+// Kuiper belt objects are points whose orbits are solved in the vertex shader,
+// as in the asteroid belt. Three populations are drawn: the classical belt
+// (a thin "cold" disc and a thicker "hot" one), objects held in mean-motion
+// resonances with the perturbing planet, such as Pluto's plutinos, and the
+// scattered disc on long, tilted orbits.
+// The catalog's "kuiperBelt" entry describes the belt:
+// { inner, outer (AU), perturber, resonances: [[p, q], ...], scattered (AU) }
+// "oortCloud": { inner, outer (AU) } adds a static shell far outside it. The real
+// cloud is thousands of times further out than anything else in the scene, so
+// the shell is drawn just beyond the belt and labelled as not to scale.
+
+const KUIPER_OBJECT_COUNT = 20000;
+const KUIPER_SAMPLE_MIN_AU = 20;
+const KUIPER_SAMPLE_MAX_AU = 200;
+const KUIPER_POINT_SIZE = 2;           // px
+const COLD_CLASSICAL_FRACTION = 0.35;
+const HOT_CLASSICAL_FRACTION = 0.25;
+const RESONANT_FRACTION = 0.2;         // the rest are scattered
+const RESONANT_LIBRATION = 0.6;        // radians, spread of the resonant angle about 180°
+const SCATTERED_PERIHELION = [30, 40]; // AU
+const OORT_POINT_COUNT = 6000;
+const OORT_INNER_FRACTION = 0.6;       // of the shell's outer radius
+const OORT_HINT_DISTANCE = 3;          // shell's outer radius, in multiples of the belt's outer edge
+const OORT_HINT_FAR_FRACTION = 0.8;    // but kept this far inside the camera's far plane
+
+let kuiperBelt = null;
+let kuiperBeltUniforms = null;
+let oortCloud = null;
+let outerBeltExtent = 0;               // AU, furthest reach of the Kuiper belt's orbits
+
+const KUIPER_VERTEX_SHADER = `
+    attribute vec4 orbitShape;   // a (AU), e, inclination, node
+    attribute vec4 orbitPhase;   // argument of perihelion, mean anomaly at J2000, mean motion (rad/day), size seed
+    uniform float pointSize;
+    ${ORBIT_GLSL}
+
+    void main() {
+        vec3 center = orbitScenePosition(orbitShape, orbitPhase);
+        gl_PointSize = pointSize * (0.5 + orbitPhase.w);
+        gl_Position = projectionMatrix * viewMatrix * vec4(center, 1.0);
+    }
+`;
+
+const KUIPER_FRAGMENT_SHADER = `
+    uniform vec3 beltColor;
+    void main() {
+        float r = length(gl_PointCoord - 0.5) * 2.0;
+        if (r > 1.0) discard;
+        gl_FragColor = vec4(beltColor, 1.0 - r * r);
+    }
+`;
+
+// Orbit of one Kuiper belt object: { a, e, inc, node, peri, meanAnomaly, motion },
+// angles in radians and motion in radians per day
+function sampleKuiperObject(config, perturber) {
+    const node = Math.random() * Math.PI * 2;
+    const peri = Math.random() * Math.PI * 2;
+    const roll = Math.random();
+    const circularMotion = a => (2 * Math.PI) / (365.256363 * Math.pow(a, 1.5));
+
+    if (roll < COLD_CLASSICAL_FRACTION + HOT_CLASSICAL_FRACTION) {
+        const cold = roll < COLD_CLASSICAL_FRACTION;
+        const a = config.inner + Math.random() * (config.outer - config.inner);
+        return {
+            a: a,
+            e: Math.random() * (cold ? 0.08 : 0.2),
+            inc: Math.abs(gaussianRandom()) * (cold ? 0.03 : 0.25),
+            node: node,
+            peri: peri,
+            meanAnomaly: Math.random() * Math.PI * 2,
+            motion: circularMotion(a)
+        };
+    }
+
+    const resonances = perturber ? config.resonances || [] : [];
+    if (roll < COLD_CLASSICAL_FRACTION + HOT_CLASSICAL_FRACTION + RESONANT_FRACTION && resonances.length > 0) {
+        // The first resonance listed is the most populated, as the 2:3 plutinos are
+        const [p, q] = resonances[Math.min(Math.floor(Math.pow(Math.random(), 2) * resonances.length), resonances.length - 1)];
+        const perturberMotion = (2 * Math.PI) / perturber.period;
+        const perturberLongitude = (perturber.node + perturber.peri + perturber.meanAnomaly) * DEG_TO_RAD;
+        // The resonant angle q λ − p λN − (q − p) ϖ stays near 180°, so the
+        // object is never at perihelion when the planet passes
+        const angle = Math.PI + gaussianRandom() * RESONANT_LIBRATION;
+        const branch = Math.floor(Math.random() * q) * 2 * Math.PI;
+        const longitude = (angle + p * perturberLongitude + (q - p) * (node + peri) + branch) / q;
+        return {
+            a: resonanceRadius(perturber.a, [p, q]) * (1 + gaussianRandom() * 0.003),
+            e: 0.05 + Math.random() * 0.25,
+            inc: Math.abs(gaussianRandom()) * 0.2,
+            node: node,
+            peri: peri,
+            meanAnomaly: longitude - node - peri,
+            motion: perturberMotion * p / q
+        };
+    }
+
+    const outer = config.scattered || config.outer * 2;
+    const a = config.outer + Math.random() * (outer - config.outer);
+    const perihelion = SCATTERED_PERIHELION[0] + Math.random() * (SCATTERED_PERIHELION[1] - SCATTERED_PERIHELION[0]);
+    return {
+        a: a,
+        e: Math.max(0, 1 - perihelion / a),
+        inc: Math.abs(gaussianRandom()) * 0.35,
+        node: node,
+        peri: peri,
+        meanAnomaly: Math.random() * Math.PI * 2,
+        motion: circularMotion(a)
+    };
+}
+
+function createKuiperBelt(config, perturber) {
+    const geometry = new THREE.BufferGeometry();
+    const shape = new Float32Array(KUIPER_OBJECT_COUNT * 4);
+    const phase = new Float32Array(KUIPER_OBJECT_COUNT * 4);
+    outerBeltExtent = config.outer;
+    for (let i = 0; i < KUIPER_OBJECT_COUNT; i++) {
+        const orbit = sampleKuiperObject(config, perturber);
+        shape.set([orbit.a, orbit.e, orbit.inc, orbit.node], i * 4);
+        phase.set([orbit.peri, orbit.meanAnomaly, orbit.motion, Math.random()], i * 4);
+        outerBeltExtent = Math.max(outerBeltExtent, orbit.a * (1 + orbit.e));
+    }
+    // Positions come from the shader; the attribute only sets the point count
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(KUIPER_OBJECT_COUNT * 3), 3));
+    geometry.setAttribute('orbitShape', new THREE.BufferAttribute(shape, 4));
+    geometry.setAttribute('orbitPhase', new THREE.BufferAttribute(phase, 4));
+
+    kuiperBeltUniforms = {
+        days: { value: 0 },
+        distanceSamples: { value: new Float32Array(DISTANCE_SAMPLES) },
+        sampleMin: { value: KUIPER_SAMPLE_MIN_AU },
+        sampleMax: { value: Math.max(KUIPER_SAMPLE_MAX_AU, outerBeltExtent) },
+        pointSize: { value: KUIPER_POINT_SIZE },
+        beltColor: { value: new THREE.Color(0xB8A58F) }
+    };
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: kuiperBeltUniforms,
+        vertexShader: KUIPER_VERTEX_SHADER,
+        fragmentShader: KUIPER_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false
+    });
+
+    kuiperBelt = new THREE.Points(geometry, material);
+    kuiperBelt.frustumCulled = false; // points are placed in the shader
+    kuiperBelt.name = 'Kuiper Belt';
+    return kuiperBelt;
+}
+
+// A static shell of points of unit outer radius, scaled by layoutOuterBelts
+function createOortCloud() {
+    const positions = new Float32Array(OORT_POINT_COUNT * 3);
+    for (let i = 0; i < OORT_POINT_COUNT; i++) {
+        const radius = OORT_INNER_FRACTION + Math.random() * (1 - OORT_INNER_FRACTION);
+        randomUnitVector().multiplyScalar(radius).toArray(positions, i * 3);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    oortCloud = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: 0x8899AA,
+        size: 1.5,
+        sizeAttenuation: false,
+        transparent: true,
+        opacity: 0.5,
+        depthWrite: false
+    }));
+    oortCloud.name = 'Oort Cloud';
+    return oortCloud;
+}
+
+// Scene radius of the Oort cloud shell under the current scale mode
+function oortCloudSceneRadius() {
+    const hint = auToScene(outerBeltExtent || scaleReference.outermostOrbit * 2) * OORT_HINT_DISTANCE;
+    return Math.min(hint, camera.far * OORT_HINT_FAR_FRACTION);
+}
+
+function layoutOuterBelts() {
+    if (kuiperBeltUniforms) sampleSceneDistances(kuiperBeltUniforms);
+    if (oortCloud) oortCloud.scale.setScalar(oortCloudSceneRadius());
+}
+
+function updateOuterBelts(date) {
+    if (!kuiperBeltUniforms) return;
+    kuiperBeltUniforms.days.value = daysSinceJ2000(date);
+}
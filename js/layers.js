@@ -0,0 +1,521 @@
+// Overlay layers, all switched from one list in the settings panel: labels,
+// orbit lines, moon orbits, fading motion trails, Sun–planet Lagrange points,
+// Hill spheres, velocity vectors, an ecliptic grid and a distance scale bar,
+// plus the outer belts, comet tails, spacecraft missions and sky overlays that
+// live in their own modules.
+// A layer is { label, visible, apply(visible) }; the scene objects for the ones
+// defined here are built by createLayers and kept up to date by layoutLayers
+// (scale mode changes) and updateLayers (every frame).
+
+const TRAIL_FRACTION = 0.12;         // of the orbital period drawn behind each body
+const TRAIL_POINTS = 64;
+const MOON_ORBIT_SEGMENTS = 128;
+const MOON_ORBIT_REFRESH_DAYS = 1;   // the Moon's orbit precesses; redraw this often
+const GRID_SPOKES = 12;              // every 30° of ecliptic longitude
+const GRID_RING_RANGE = 300;         // smallest ring is the largest orbit over this
+const SCALE_BAR_MAX_PX = 150;
+const VELOCITY_ARROW_KM_S = 10;      // arrows reach one body radius past the surface per this speed
+const HILL_SPHERE_MIN_RADII = 1.5;   // of the planet, when the scale mode inflates it past its Hill sphere
+const HILL_SPHERE_MOON_MARGIN = 1.1; // beyond the outermost drawn moon orbit
+const LAGRANGE_POINT_SIZE = 6;       // px
+const LAGRANGE_POINT_NAMES = ['L1', 'L2', 'L3', 'L4', 'L5'];
+
+const overlayLayers = {
+    labels: { label: 'Labels', visible: true, apply: visible => setLabelsVisible(visible) },
+    orbits: { label: 'Orbit lines', visible: true, apply: visible => setOrbitsVisible(visible) },
+    moonOrbits: { label: 'Moon orbits', visible: false, apply: visible => showOverlay('moonOrbits', visible) },
+    trails: { label: 'Motion trails', visible: false, apply: visible => showOverlay('trails', visible) },
+    lagrangePoints: { label: 'Lagrange points', visible: false, apply: visible => showOverlay('lagrangePoints', visible) },
+    hillSpheres: { label: 'Hill spheres', visible: false, apply: visible => showOverlay('hillSpheres', visible) },
+    velocityVectors: { label: 'Velocity vectors', visible: false, apply: visible => showOverlay('velocityVectors', visible) },
+    eclipticGrid: { label: 'Ecliptic grid', visible: false, apply: visible => showOverlay('eclipticGrid', visible) },
+    scaleBar: { label: 'Scale bar', visible: false, apply: visible => showOverlay('scaleBar', visible) },
+    kuiperBelt: { label: 'Kuiper belt', visible: true, apply: visible => showOverlay('kuiperBelt', visible) },
+    oortCloud: { label: 'Oort cloud (not to scale)', visible: false, apply: visible => showOverlay('oortCloud', visible) },
+    cometTails: { label: 'Comet tails', visible: true, apply: visible => setCometTailsVisible(visible) },
+    missions: { label: 'Spacecraft missions', visible: true, apply: visible => setMissionsVisible(visible) },
+    constellationLines: { label: 'Constellation lines', visible: skyLayers.constellationLines, apply: visible => setSkyLayer('constellationLines', visible) },
+    constellationNames: { label: 'Constellation names', visible: skyLayers.constellationNames, apply: visible => setSkyLayer('constellationNames', visible) },
+    ecliptic: { label: 'Ecliptic', visible: skyLayers.ecliptic, apply: visible => setSkyLayer('ecliptic', visible) },
+    celestialEquator: { label: 'Celestial equator', visible: skyLayers.celestialEquator, apply: visible => setSkyLayer('celestialEquator', visible) }
+};
+
+// Scene objects of the layers defined here, keyed by layer name
+const overlays = {};
+let lastMoonOrbitDays = null;
+
+function isLayerVisible(name) {
+    return Boolean(overlayLayers[name] && overlayLayers[name].visible);
+}
+
+function setLayerVisible(name, visible) {
+    const layer = overlayLayers[name];
+    if (!layer) return;
+    layer.visible = visible;
+    layer.apply(visible);
+    const checkbox = document.querySelector(`[data-layer="${name}"]`);
+    if (checkbox) checkbox.checked = visible;
+}
+
+function visibleLayerNames() {
+    return Object.keys(overlayLayers).filter(name => overlayLayers[name].visible);
+}
+
+function showOverlay(name, visible) {
+    const overlay = overlays[name];
+    if (!overlay) return;
+    if (overlay.object) overlay.object.visible = visible;
+    // Parts that hang off a planet's group rather than the layer's own group
+    (overlay.members || []).forEach(object => {
+        object.visible = visible;
+    });
+    if (overlay.element) overlay.element.classList.toggle('hidden', !visible);
+    (overlay.labels || []).forEach(label => {
+        label.element.style.display = visible ? 'block' : 'none';
+    });
+    // Layers that are only refreshed while shown need catching up
+    if (visible && name !== 'scaleBar') updateLayers(simulationClock.getDate(), true);
+}
+
+function createOverlayLabel(className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    element.style.display = 'none';
+    document.getElementById('planet-labels').appendChild(element);
+    return { element: element, position: new THREE.Vector3() };
+}
+
+function allMoons() {
+    return planets.flatMap(planet => planet.moons.map(moon => ({ moon: moon, planet: planet })));
+}
+
+function overlayColor(body) {
+    return new THREE.Color(body.color || 0xFFFFFF);
+}
+
+function createLayers() {
+    const moonOrbits = [];
+    const trails = [];
+    const hillSpheres = [];
+    const velocityVectors = new THREE.Group();
+
+    allMoons().forEach(({ moon, planet }) => {
+        moon.orbitLine = new THREE.LineLoop(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: overlayColor(moon.body), transparent: true, opacity: 0.4 })
+        );
+        planet.group.add(moon.orbitLine);
+        moonOrbits.push(moon.orbitLine);
+    });
+
+    // Trails fade from the body's colour to nothing; moons trail relative to their planet
+    const trailObjects = [...planets.map(planet => ({ object: planet, parent: null })),
+        ...allMoons().map(({ moon, planet }) => ({ object: moon, parent: planet }))];
+    trailObjects.forEach(({ object, parent }) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_POINTS * 3), 3));
+        const colors = new Float32Array(TRAIL_POINTS * 3);
+        const color = overlayColor(object.body);
+        for (let i = 0; i < TRAIL_POINTS; i++) {
+            color.clone().multiplyScalar(1 - i / (TRAIL_POINTS - 1)).toArray(colors, i * 3);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        object.trail = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        object.trail.frustumCulled = false;
+        (parent ? parent.group : scene).add(object.trail);
+        trails.push(object.trail);
+    });
+
+    planets.forEach(planet => {
+        planet.velocityArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, overlayColor(planet.body));
+        velocityVectors.add(planet.velocityArrow);
+        planet.moons.forEach(moon => {
+            moon.velocityArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, overlayColor(moon.body));
+            velocityVectors.add(moon.velocityArrow);
+        });
+
+        planet.hillSphere = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 32, 16),
+            new THREE.MeshBasicMaterial({ color: overlayColor(planet.body), wireframe: true, transparent: true, opacity: 0.15, depthWrite: false })
+        );
+        planet.group.add(planet.hillSphere);
+        hillSpheres.push(planet.hillSphere);
+    });
+
+    const lagrangeGeometry = new THREE.BufferGeometry();
+    lagrangeGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(planets.length * 5 * 3), 3));
+    const lagrangeColors = new Float32Array(planets.length * 5 * 3);
+    planets.forEach((planet, i) => {
+        for (let k = 0; k < 5; k++) overlayColor(planet.body).toArray(lagrangeColors, (i * 5 + k) * 3);
+    });
+    lagrangeGeometry.setAttribute('color', new THREE.BufferAttribute(lagrangeColors, 3));
+    const lagrangePoints = new THREE.Points(lagrangeGeometry, new THREE.PointsMaterial({
+        size: LAGRANGE_POINT_SIZE,
+        sizeAttenuation: false,
+        vertexColors: true
+    }));
+    lagrangePoints.frustumCulled = false;
+
+    const grid = new THREE.Group();
+
+    overlays.moonOrbits = { members: moonOrbits };
+    overlays.trails = { members: trails };
+    overlays.velocityVectors = { object: velocityVectors };
+    overlays.hillSpheres = { members: hillSpheres };
+    overlays.lagrangePoints = {
+        object: lagrangePoints,
+        // Only the selected planet's points are named
+        labels: LAGRANGE_POINT_NAMES.map(name => createOverlayLabel('layer-label', name))
+    };
+    overlays.eclipticGrid = { object: grid, labels: [] };
+    overlays.scaleBar = { element: document.getElementById('scale-bar') };
+    // Built with the scene by kuiperBelt.js, when the catalog has them
+    overlays.kuiperBelt = { object: kuiperBelt };
+    overlays.oortCloud = {
+        object: oortCloud,
+        labels: oortCloud ? [createOverlayLabel('layer-label',
+            `Oort cloud, ${formatNumber(catalog.oortCloud.inner)}–${formatNumber(catalog.oortCloud.outer)} AU (not to scale)`)] : []
+    };
+    scene.add(velocityVectors, lagrangePoints, grid);
+
+    layoutLayers();
+    Object.keys(overlays).forEach(name => showOverlay(name, isLayerVisible(name)));
+}
+
+// Everything whose size or shape depends on the scale mode
+function layoutLayers() {
+    if (!overlays.eclipticGrid) return;
+    lastMoonOrbitDays = null;
+    layoutEclipticGrid();
+    planets.forEach(planet => {
+        planet.hillSphere.scale.setScalar(hillSphereSceneRadius(planet));
+    });
+    overlays.oortCloud.labels.forEach(label => label.position.set(0, 0, -oortCloud.scale.x));
+    updateLayers(simulationClock.getDate(), true);
+}
+
+// Rings at 1-2-5 steps of AU out past the largest orbit, mapped like the orbits
+// so the grid stretches with the scale mode, and spokes every 30° of longitude
+function gridRingDistances() {
+    const outer = scaleReference.outermostOrbit * 1.5;
+    const inner = outer / GRID_RING_RANGE;
+    const rings = [];
+    for (let decade = Math.pow(10, Math.floor(Math.log10(inner))); decade <= outer; decade *= 10) {
+        [1, 2, 5].map(step => step * decade)
+            .filter(distance => distance >= inner && distance <= outer)
+            .forEach(distance => rings.push(distance));
+    }
+    return rings;
+}
+
+function layoutEclipticGrid() {
+    const overlay = overlays.eclipticGrid;
+    const grid = overlay.object;
+    grid.children.slice().forEach(child => {
+        grid.remove(child);
+        child.geometry.dispose();
+    });
+    overlay.labels.forEach(label => label.element.remove());
+
+    const material = new THREE.LineBasicMaterial({ color: 0x3A6EA5, transparent: true, opacity: 0.35, depthWrite: false });
+    const rings = gridRingDistances();
+    rings.forEach(distance => {
+        const radius = auToScene(distance);
+        const points = [];
+        for (let i = 0; i < 128; i++) {
+            const angle = (i / 128) * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle) * radius, 0, -Math.sin(angle) * radius));
+        }
+        grid.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), material));
+    });
+
+    const inner = auToScene(rings[0]);
+    const outer = auToScene(rings[rings.length - 1]);
+    const spokes = [];
+    for (let i = 0; i < GRID_SPOKES; i++) {
+        const angle = (i / GRID_SPOKES) * Math.PI * 2;
+        const direction = new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle));
+        spokes.push(direction.clone().multiplyScalar(inner), direction.clone().multiplyScalar(outer));
+    }
+    grid.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(spokes), material));
+
+    // Ring distances are written along the 0° spoke, towards the March equinox
+    overlay.labels = rings.map(distance => {
+        const label = createOverlayLabel('layer-label grid-label', formatRoundDistance(distance));
+        label.position.set(auToScene(distance), 0, 0);
+        label.element.style.display = isLayerVisible('eclipticGrid') ? 'block' : 'none';
+        return label;
+    });
+}
+
+// Mass ratio of a planet to the star it orbits
+function planetMassRatio(planet) {
+    const starMass = sunObject.body.physical.mass || SOLAR_MASS;
+    return (planet.body.physical.mass || 0) / starMass;
+}
+
+// Hill radius in AU, which is also how far L1 and L2 sit from the planet
+function hillRadiusAU(planet) {
+    const { a, e } = planet.elements;
+    return a * (1 - e) * Math.cbrt(planetMassRatio(planet) / 3);
+}
+
+// The Hill sphere at the scale the orbits are drawn at, measured across it. Scale
+// modes inflate the planets far more than the distances, so where that would
+// bury the sphere inside the planet or its moons it is drawn just outside them.
+function hillSphereSceneRadius(planet) {
+    const hill = hillRadiusAU(planet);
+    const a = planet.elements.a;
+    const mapped = (auToScene(a + hill) - auToScene(Math.max(a - hill, 0))) / 2;
+    const moonOrbits = planet.moons.map(moon => moonOrbitRadius(moon, planet) * HILL_SPHERE_MOON_MARGIN);
+    return Math.max(mapped, planetSceneRadius(planet.body) * HILL_SPHERE_MIN_RADII, ...moonOrbits);
+}
+
+// Rotate an ecliptic vector about a unit axis (Rodrigues' formula)
+function rotateAbout(vector, axis, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cross = crossProduct(axis, vector);
+    const dot = dotProduct(axis, vector);
+    return vector.map((value, k) => value * cos + cross[k] * sin + axis[k] * dot * (1 - cos));
+}
+
+function orbitNormal(elements) {
+    const i = elements.i * DEG_TO_RAD;
+    const node = elements.node * DEG_TO_RAD;
+    return [Math.sin(i) * Math.sin(node), -Math.sin(i) * Math.cos(node), Math.cos(i)];
+}
+
+// Orbit normal from the position and velocity the N-body integrator has reached
+function physicsOrbitNormal(position, velocity) {
+    const normal = crossProduct(position, velocity);
+    const length = vectorLength(normal);
+    return normal.map(value => value / length);
+}
+
+// Scene positions of L1–L5. L3–L5 use the orbit mapping; L1 and L2 sit on the
+// drawn Hill sphere, which is where they are in reality. In physics mode they
+// follow the planet's integrated position and orbital plane.
+function lagrangeScenePoints(planet, date) {
+    const physicsPosition = physicsPositionAU(planet.name);
+    const position = physicsPosition || heliocentricPosition(planet.elements, date);
+    const ratio = planetMassRatio(planet);
+    const planetScene = planet.group.position;
+    const outward = planetScene.clone().normalize();
+    const hill = hillSphereSceneRadius(planet);
+    const normal = physicsPosition
+        ? physicsOrbitNormal(physicsPosition, physicsVelocity(planet.name))
+        : orbitNormal(planet.elements);
+    return [
+        planetScene.clone().addScaledVector(outward, -hill),
+        planetScene.clone().addScaledVector(outward, hill),
+        eclipticPositionToScene(position.map(value => -value * (1 + (5 * ratio) / 12))),
+        eclipticPositionToScene(rotateAbout(position, normal, Math.PI / 3)),
+        eclipticPositionToScene(rotateAbout(position, normal, -Math.PI / 3))
+    ];
+}
+
+// Moon orbit ellipse relative to its planet, at the moon's drawn distance
+function moonOrbitPoints(moon, planet, date) {
+    const elements = precessedElements(moon.elements, date);
+    const scale = moonOrbitRadius(moon, planet) / moon.elements.a;
+    const points = [];
+    for (let s = 0; s < MOON_ORBIT_SEGMENTS; s++) {
+        let position = orbitalPlaneToEcliptic(elements, (s / MOON_ORBIT_SEGMENTS) * Math.PI * 2);
+        if (elements.plane !== 'ecliptic' && planet.body.pole) {
+            position = frameToEcliptic(position, equatorialFrame(planet.body.pole));
+        }
+        points.push(eclipticToScene(position).multiplyScalar(scale));
+    }
+    return points;
+}
+
+// In physics mode a planet's past is not on its Keplerian orbit, so its trail is
+// made of the integrated positions seen since the trail was last drawn. They are
+// kept in AU so a scale change redraws them correctly, and start over with
+// each new N-body system.
+function updatePhysicsTrail(object, position, stepDays) {
+    const days = physicsState.system.time;
+    if (!object.physicsTrail || object.physicsTrail.system !== physicsState.system) {
+        object.physicsTrail = { system: physicsState.system, days: days, history: [] };
+    }
+    const trail = object.physicsTrail;
+    if (trail.history.length === 0 || Math.abs(days - trail.days) >= stepDays) {
+        trail.history.unshift(position);
+        trail.history.length = Math.min(trail.history.length, TRAIL_POINTS - 1);
+        trail.days = days;
+    }
+
+    const positions = object.trail.geometry.getAttribute('position');
+    const point = new THREE.Vector3();
+    for (let i = 0; i < TRAIL_POINTS; i++) {
+        const past = i === 0 ? position : trail.history[Math.min(i, trail.history.length) - 1];
+        eclipticPositionToScene(past, point);
+        positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+}
+
+function updateTrail(object, parent, date) {
+    const stepDays = (object.elements.period * TRAIL_FRACTION) / (TRAIL_POINTS - 1);
+    const physicsPosition = parent ? null : physicsPositionAU(object.name);
+    if (physicsPosition) {
+        updatePhysicsTrail(object, physicsPosition, stepDays);
+        return;
+    }
+
+    const positions = object.trail.geometry.getAttribute('position');
+    // Trails stay behind the body whichever way time runs
+    const direction = simulationClock.direction;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < TRAIL_POINTS; i++) {
+        const time = new Date(date.getTime() - direction * i * stepDays * MS_PER_DAY);
+        if (parent) {
+            const offset = satellitePosition(object.elements, time, parent.body.pole);
+            eclipticToScene(offset, point).multiplyScalar(moonOrbitRadius(object, parent) / object.elements.a);
+        } else {
+            orbitalPositionToScene(object.elements, time, point);
+        }
+        positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+}
+
+function updateVelocityArrow(object, date) {
+    const velocity = physicsVelocity(object.name) || relativeVelocity(object.body, date);
+    const speed = vectorLength(velocity);
+    const radius = planetSceneRadius(object.body);
+    const length = radius * (1 + speed / VELOCITY_ARROW_KM_S);
+    object.group.getWorldPosition(object.velocityArrow.position);
+    object.velocityArrow.setDirection(eclipticToScene(velocity).normalize());
+    object.velocityArrow.setLength(length, Math.min(radius * 0.8, length * 0.3), Math.min(radius * 0.5, length * 0.2));
+}
+
+// Called every frame after the bodies have moved; hidden layers are skipped.
+// force refreshes them anyway, e.g. when one is switched on.
+function updateLayers(date, force = false) {
+    if (!overlays.trails) return;
+
+    if (isLayerVisible('moonOrbits') || force) {
+        const days = daysSinceJ2000(date);
+        if (force || lastMoonOrbitDays === null || Math.abs(days - lastMoonOrbitDays) > MOON_ORBIT_REFRESH_DAYS) {
+            allMoons().forEach(({ moon, planet }) => moon.orbitLine.geometry.setFromPoints(moonOrbitPoints(moon, planet, date)));
+            lastMoonOrbitDays = days;
+        }
+    }
+
+    if (isLayerVisible('trails')) {
+        planets.forEach(planet => {
+            updateTrail(planet, null, date);
+            planet.moons.forEach(moon => updateTrail(moon, planet, date));
+        });
+    }
+
+    if (isLayerVisible('velocityVectors')) {
+        planets.forEach(planet => {
+            updateVelocityArrow(planet, date);
+            planet.moons.forEach(moon => updateVelocityArrow(moon, date));
+        });
+    }
+
+    if (isLayerVisible('lagrangePoints')) {
+        const positions = overlays.lagrangePoints.object.geometry.getAttribute('position');
+        planets.forEach((planet, i) => {
+            const points = lagrangeScenePoints(planet, date);
+            points.forEach((point, k) => positions.setXYZ(i * 5 + k, point.x, point.y, point.z));
+            if (planet === selectedPlanet) {
+                overlays.lagrangePoints.labels.forEach((label, k) => label.position.copy(points[k]));
+            }
+        });
+        positions.needsUpdate = true;
+    }
+}
+
+function placeLayerLabel(label, visible) {
+    const screenPosition = label.position.clone().project(camera);
+    visible = visible && screenPosition.z < 1;
+    label.element.style.visibility = visible ? 'visible' : 'hidden';
+    if (!visible) return;
+    const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
+    label.element.style.transform = `translate(${x}px, ${y}px)`;
+}
+
+// "2 AU" rather than "2.000 AU" for the round values on the grid and scale bar
+function formatRoundDistance(au) {
+    return formatDistanceAU(au).replace(/\.?0+ AU$/, ' AU');
+}
+
+function niceLength(maximum) {
+    const decade = Math.pow(10, Math.floor(Math.log10(maximum)));
+    return [5, 2, 1].map(step => step * decade).find(length => length <= maximum) || decade;
+}
+
+// Distance in AU from the star that the scene maps to a given scene distance
+function sceneToAU(distance) {
+    let low = 0;
+    let high = scaleReference.outermostOrbit * 1000;
+    for (let i = 0; i < 50; i++) {
+        const middle = (low + high) / 2;
+        if (auToScene(middle) < distance) low = middle;
+        else high = middle;
+    }
+    return (low + high) / 2;
+}
+
+// Scale bar for the point the camera orbits; the mapping is not linear in most
+// scale modes, so the length of an AU depends on how far that point is from the star
+function updateScaleBar() {
+    const element = overlays.scaleBar.element;
+    const visible = isLayerVisible('scaleBar') && !isObserving();
+    element.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const au = sceneToAU(controls.target.length());
+    const step = Math.max(au * 1e-3, 1e-6);
+    const scenePerAU = (auToScene(au + step) - auToScene(Math.max(au - step, 0))) / (au + step - Math.max(au - step, 0));
+    const viewHeight = 2 * camera.position.distanceTo(controls.target) * Math.tan((camera.fov * DEG_TO_RAD) / 2);
+    const pixelsPerAU = (scenePerAU * window.innerHeight) / viewHeight;
+
+    // Round lengths in AU, or in km when an AU is far wider than the bar
+    const maximumAU = SCALE_BAR_MAX_PX / pixelsPerAU;
+    const length = maximumAU >= 0.01 ? niceLength(maximumAU) : niceLength(maximumAU * AU_KM) / AU_KM;
+    element.querySelector('.scale-bar-line').style.width = `${Math.round(length * pixelsPerAU)}px`;
+    element.querySelector('.scale-bar-text').textContent = formatRoundDistance(length);
+}
+
+// Screen-space parts, after the camera has moved
+function updateLayerLabels() {
+    if (!overlays.scaleBar) return;
+    updateScaleBar();
+    overlays.eclipticGrid.labels.forEach(label => placeLayerLabel(label, isLayerVisible('eclipticGrid')));
+    const planetSelected = planets.includes(selectedPlanet);
+    overlays.lagrangePoints.labels.forEach(label => placeLayerLabel(label, isLayerVisible('lagrangePoints') && planetSelected));
+    overlays.oortCloud.labels.forEach(label => placeLayerLabel(label, isLayerVisible('oortCloud')));
+}
+
+function initLayerControls() {
+    const list = document.getElementById('layer-list');
+    Object.entries(overlayLayers).forEach(([name, layer]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.layer = name;
+        checkbox.checked = layer.visible;
+        checkbox.addEventListener('change', (e) => setLayerVisible(name, e.target.checked));
+        label.append(checkbox, ` ${layer.label}`);
+        list.appendChild(label);
+    });
+}
+
+function syncLayerControls() {
+    document.querySelectorAll('[data-layer]').forEach(checkbox => {
+        checkbox.checked = isLayerVisible(checkbox.dataset.layer);
+    });
+}
@@ -0,0 +1,272 @@
+// Spacecraft missions: bundled, time-tagged positions drawn as trajectories, with
+// a marker at the simulation date that can be selected and followed like a body.
+// The catalog's top-level "missions" array lists the files to load.
+//
+// {
+//     "name": "Voyager 2",
+//     "color": "#06D6A0",
+//     "description": "Shown in the info panel",
+//     "physical": { "mass": 721.9 },           // kg
+//     "launch": "1977-08-20T14:29:00Z",
+//     "end": "2017-09-15T10:32:00Z",          // optional; the last sample otherwise
+//     "events": [{ "date": "1979-07-09T22:29:00Z", "body": "Jupiter", "label": "Jupiter flyby" }],
+//     "fields": ["daysSinceJ2000", "x", "y", "z"],
+//     "samples": [[-8168.9, 0.85576, -0.53966, 0]]   // AU from the star, J2000 ecliptic
+// }
+
+const MISSION_MARKER_SIZE = 0.2;
+const MISSION_EVENT_WINDOW = 15;       // days either side of an event that it is highlighted
+const MISSION_HIGHLIGHT_SIZE = 4;      // highlight ring radius in marker radii
+const MISSION_EVENT_POINT_SIZE = 6;    // px
+
+let missions = [];
+let missionsVisible = true;
+
+async function loadMission(url) {
+    try {
+        const response = await fetchAsset(url);
+        const mission = await response.json();
+        if (!mission.name || !Array.isArray(mission.samples) || mission.samples.length < 2) {
+            throw new Error('Mission needs a name and at least two samples');
+        }
+        return mission;
+    } catch (error) {
+        reportAssetProblem(url, 'Mission left out', error);
+        return null;
+    }
+}
+
+async function createMissions(urls) {
+    const loaded = await Promise.all(urls.map(url => loadMission(url)));
+    missions = loaded.filter(Boolean).map(createMission);
+    missions.forEach(mission => {
+        scene.add(mission.path);
+        scene.add(mission.flownPath);
+        scene.add(mission.eventPoints);
+        scene.add(mission.group);
+    });
+    layoutMissions();
+}
+
+function createMission(data) {
+    const color = new THREE.Color(data.color || 0xFFFFFF);
+    const body = {
+        name: data.name,
+        type: 'spacecraft',
+        description: data.description || '',
+        physical: data.physical || {},
+        display: { size: MISSION_MARKER_SIZE }
+    };
+
+    const days = Float64Array.from(data.samples, sample => sample[0]);
+    const launch = data.launch ? daysSinceJ2000(new Date(data.launch)) : days[0];
+    const end = data.end ? daysSinceJ2000(new Date(data.end)) : days[days.length - 1];
+    const events = (data.events || []).map(event => Object.assign({ days: daysSinceJ2000(new Date(event.date)) }, event));
+
+    // The flown part shares the path's vertices and only draws up to the marker
+    const pathGeometry = new THREE.BufferGeometry();
+    pathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(days.length * 3), 3));
+    const path = new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({ color: color, opacity: 0.25, transparent: true }));
+    const flownGeometry = new THREE.BufferGeometry();
+    flownGeometry.setAttribute('position', pathGeometry.getAttribute('position'));
+    const flownPath = new THREE.Line(flownGeometry, new THREE.LineBasicMaterial({ color: color }));
+
+    const eventGeometry = new THREE.BufferGeometry();
+    eventGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(events.length * 3), 3));
+    const eventPoints = new THREE.Points(eventGeometry, new THREE.PointsMaterial({
+        color: color,
+        size: MISSION_EVENT_POINT_SIZE,
+        sizeAttenuation: false
+    }));
+
+    const group = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.OctahedronGeometry(MISSION_MARKER_SIZE), new THREE.MeshBasicMaterial({ color: color }));
+    group.add(mesh);
+    const highlight = new THREE.Mesh(
+        new THREE.RingGeometry(MISSION_HIGHLIGHT_SIZE * 0.85, MISSION_HIGHLIGHT_SIZE, 48),
+        new THREE.MeshBasicMaterial({ color: color, transparent: true, side: THREE.DoubleSide, depthWrite: false })
+    );
+    highlight.visible = false;
+    mesh.add(highlight);
+
+    const eventLabel = document.createElement('div');
+    eventLabel.className = 'mission-event-label';
+    eventLabel.style.color = color.getStyle();
+    document.getElementById('planet-labels').appendChild(eventLabel);
+
+    return {
+        name: data.name,
+        body: body,
+        group: group,
+        mesh: mesh,
+        highlight: highlight,
+        path: path,
+        flownPath: flownPath,
+        eventPoints: eventPoints,
+        eventLabel: eventLabel,
+        days: days,
+        samples: data.samples,
+        launch: launch,
+        end: end,
+        events: events,
+        activeEvent: null
+    };
+}
+
+function findMission(name) {
+    return missions.find(mission => mission.name === name) || null;
+}
+
+// Index of the last sample at or before the given day (binary search)
+function missionSampleIndex(mission, days) {
+    let low = 0;
+    let high = mission.days.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (mission.days[middle] <= days) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+// Position [x, y, z] in AU, interpolated between samples and held at the ends
+function missionPositionAU(mission, date) {
+    const days = daysSinceJ2000(date);
+    const index = missionSampleIndex(mission, days);
+    const a = mission.samples[index];
+    const b = mission.samples[Math.min(index + 1, mission.samples.length - 1)];
+    const t = b[0] > a[0] ? Math.min(Math.max((days - a[0]) / (b[0] - a[0]), 0), 1) : 0;
+    return [1, 2, 3].map(k => a[k] + (b[k] - a[k]) * t);
+}
+
+function isMissionActive(mission, date) {
+    const days = daysSinceJ2000(date);
+    return days >= mission.launch && days <= mission.end;
+}
+
+// Rebuild the paths for the current scale mode
+function layoutMissions() {
+    const point = new THREE.Vector3();
+    missions.forEach(mission => {
+        const positions = mission.path.geometry.getAttribute('position');
+        mission.samples.forEach((sample, i) => {
+            eclipticPositionToScene(sample.slice(1), point);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        });
+        positions.needsUpdate = true;
+        mission.path.geometry.computeBoundingSphere();
+        mission.flownPath.geometry.computeBoundingSphere();
+
+        const eventPositions = mission.eventPoints.geometry.getAttribute('position');
+        mission.events.forEach((event, i) => {
+            eclipticPositionToScene(missionPositionAU(mission, new Date(event.date)), point);
+            eventPositions.setXYZ(i, point.x, point.y, point.z);
+        });
+        eventPositions.needsUpdate = true;
+        mission.eventPoints.geometry.computeBoundingSphere();
+
+        mission.mesh.scale.setScalar(planetSceneRadius(mission.body) / MISSION_MARKER_SIZE);
+    });
+}
+
+function nearestMissionEvent(mission, days) {
+    let nearest = null;
+    mission.events.forEach(event => {
+        const offset = Math.abs(event.days - days);
+        if (offset <= MISSION_EVENT_WINDOW && (!nearest || offset < Math.abs(nearest.days - days))) {
+            nearest = event;
+        }
+    });
+    return nearest;
+}
+
+// Move markers to the date; markers are hidden before launch and after the end
+function updateMissions(date) {
+    const days = daysSinceJ2000(date);
+    missions.forEach(mission => {
+        const active = isMissionActive(mission, date);
+        mission.group.visible = missionsVisible && active;
+        eclipticPositionToScene(missionPositionAU(mission, date), mission.group.position);
+
+        const flownSamples = days < mission.launch ? 0 : missionSampleIndex(mission, Math.min(days, mission.end)) + 1;
+        mission.flownPath.geometry.setDrawRange(0, flownSamples);
+
+        mission.activeEvent = active ? nearestMissionEvent(mission, days) : null;
+        mission.highlight.visible = Boolean(mission.activeEvent);
+        if (mission.activeEvent) {
+            // Pulse while fading in and out around the event
+            const closeness = 1 - Math.abs(mission.activeEvent.days - days) / MISSION_EVENT_WINDOW;
+            mission.highlight.material.opacity = closeness * (0.6 + 0.4 * Math.sin(performance.now() / 150));
+        }
+    });
+}
+
+// Called after the camera has moved: rings face the camera, event captions follow the markers
+function updateMissionLabels() {
+    const worldPosition = new THREE.Vector3();
+    missions.forEach(mission => {
+        mission.highlight.quaternion.copy(camera.quaternion);
+
+        const screenPosition = mission.group.getWorldPosition(worldPosition).project(camera);
+        const visible = labelsVisible && mission.group.visible && mission.activeEvent && screenPosition.z < 1;
+        mission.eventLabel.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+        mission.eventLabel.textContent = `${mission.name}: ${mission.activeEvent.label}`;
+        const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+        const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
+        mission.eventLabel.style.transform = `translate(${x}px, ${y + 24}px)`;
+    });
+}
+
+function setMissionsVisible(visible) {
+    missionsVisible = visible;
+    missions.forEach(mission => {
+        mission.path.visible = visible;
+        mission.flownPath.visible = visible;
+        mission.eventPoints.visible = visible;
+    });
+    updateMissions(simulationClock.getDate());
+}
+
+// Heliocentric speed in km/s from the neighbouring samples
+function missionSpeed(mission, date) {
+    const index = Math.min(missionSampleIndex(mission, daysSinceJ2000(date)), mission.samples.length - 2);
+    const a = mission.samples[index];
+    const b = mission.samples[index + 1];
+    const distance = Math.hypot(b[1] - a[1], b[2] - a[2], b[3] - a[3]);
+    return (distance * AU_KM) / ((b[0] - a[0]) * 86400);
+}
+
+function spacecraftDataRows(body, date) {
+    const mission = findMission(body.name);
+    const days = daysSinceJ2000(date);
+    if (days < mission.launch) {
+        return [['Status', `Launches in ${formatDays(mission.launch - days)}`]];
+    }
+    if (days > mission.end) {
+        return [['Status', `Mission ended ${formatDays(days - mission.end)} ago`]];
+    }
+    return [
+        ['Mission time', formatDays(days - mission.launch)],
+        [`Speed relative to ${sunObject.name}`, `${missionSpeed(mission, date).toFixed(2)} km/s`]
+    ];
+}
+
+// Flyby list for the info panel; each entry jumps the clock to its date
+function renderMissionEvents(object) {
+    const list = document.getElementById('mission-events');
+    list.innerHTML = '';
+    const mission = object && findMission(object.name);
+    list.classList.toggle('hidden', !mission);
+    if (!mission) return;
+
+    mission.events.forEach(event => {
+        const button = document.createElement('button');
+        button.textContent = `${event.date.slice(0, 10)} ${event.label}`;
+        button.addEventListener('click', () => {
+            jumpToDate(new Date(event.date));
+            flyToBody(mission.name);
+        });
+        list.appendChild(document.createElement('li')).appendChild(button);
+    });
+}
@@ -0,0 +1,176 @@
+// Gravitational N-body integrator: velocity Verlet (kick-drift-kick) with a step
+// size that adapts to the closest, fastest pair of bodies. It has no dependencies
+// on the page, so it also runs headless under Node:
+//
+//     const { createNBodySystem } = require('./js/nbody.js');
+//
+// tests/nbody.test.js checks it against known results: node --test tests/
+//
+// Units are the caller's, as long as they agree: bodies are
+// { name, gm, position: [x, y, z], velocity: [x, y, z] } with gm the gravitational
+// parameter G·m. The app uses AU, days and AU³/day².
+
+const NBODY_DEFAULT_ACCURACY = 0.01;  // fraction of the shortest pair timescale per step
+const NBODY_MAX_STEPS = 100000;       // per call to advance
+
+function createNBodySystem(bodies, options = {}) {
+    const system = {
+        bodies: bodies.map(body => ({
+            name: body.name,
+            gm: body.gm,
+            position: body.position.slice(),
+            velocity: body.velocity.slice()
+        })),
+        time: options.time || 0,
+        steps: 0,
+        accuracy: options.accuracy || NBODY_DEFAULT_ACCURACY,
+        // Plummer softening length; 0 keeps gravity exact down to a collision
+        softening: options.softening || 0,
+        accelerationCache: null,
+        initialEnergy: 0,
+        initialMomentum: [0, 0, 0],
+
+        find(name) {
+            return this.bodies.find(body => body.name === name);
+        },
+
+        accelerations() {
+            const accelerations = this.bodies.map(() => [0, 0, 0]);
+            const softening2 = this.softening * this.softening;
+            for (let i = 0; i < this.bodies.length; i++) {
+                const a = this.bodies[i];
+                for (let j = i + 1; j < this.bodies.length; j++) {
+                    const b = this.bodies[j];
+                    const dx = b.position[0] - a.position[0];
+                    const dy = b.position[1] - a.position[1];
+                    const dz = b.position[2] - a.position[2];
+                    const r2 = dx * dx + dy * dy + dz * dz + softening2;
+                    const inverseR3 = 1 / (r2 * Math.sqrt(r2));
+                    accelerations[i][0] += b.gm * dx * inverseR3;
+                    accelerations[i][1] += b.gm * dy * inverseR3;
+                    accelerations[i][2] += b.gm * dz * inverseR3;
+                    accelerations[j][0] -= a.gm * dx * inverseR3;
+                    accelerations[j][1] -= a.gm * dy * inverseR3;
+                    accelerations[j][2] -= a.gm * dz * inverseR3;
+                }
+            }
+            return accelerations;
+        },
+
+        // Shortest free-fall or crossing time over all pairs, times the accuracy
+        timeStep() {
+            let shortest = Infinity;
+            for (let i = 0; i < this.bodies.length; i++) {
+                const a = this.bodies[i];
+                for (let j = i + 1; j < this.bodies.length; j++) {
+                    const b = this.bodies[j];
+                    const r = Math.hypot(b.position[0] - a.position[0], b.position[1] - a.position[1], b.position[2] - a.position[2]);
+                    const v = Math.hypot(b.velocity[0] - a.velocity[0], b.velocity[1] - a.velocity[1], b.velocity[2] - a.velocity[2]);
+                    const gm = a.gm + b.gm;
+                    if (gm > 0) shortest = Math.min(shortest, Math.sqrt((r * r * r) / gm));
+                    if (v > 0) shortest = Math.min(shortest, r / v);
+                }
+            }
+            return this.accuracy * shortest;
+        },
+
+        // One kick-drift-kick step of dt, which may be negative
+        step(dt) {
+            if (!this.accelerationCache) this.accelerationCache = this.accelerations();
+            this.bodies.forEach((body, i) => {
+                for (let k = 0; k < 3; k++) {
+                    body.velocity[k] += 0.5 * dt * this.accelerationCache[i][k];
+                    body.position[k] += dt * body.velocity[k];
+                }
+            });
+            this.accelerationCache = this.accelerations();
+            this.bodies.forEach((body, i) => {
+                for (let k = 0; k < 3; k++) {
+                    body.velocity[k] += 0.5 * dt * this.accelerationCache[i][k];
+                }
+            });
+            this.time += dt;
+            this.steps++;
+        },
+
+        // Integrate by the given time (negative runs backwards). Returns false if
+        // maxSteps ran out first, leaving the system part of the way there.
+        advance(duration, maxSteps = NBODY_MAX_STEPS) {
+            const target = this.time + duration;
+            const direction = Math.sign(duration);
+            for (let n = 0; n < maxSteps; n++) {
+                const remaining = (target - this.time) * direction;
+                if (remaining <= 0) return true;
+                const dt = Math.min(this.timeStep(), remaining);
+                if (!(dt > 0)) return false;
+                this.step(direction * dt);
+            }
+            return (target - this.time) * direction <= 0;
+        },
+
+        // Total energy and momentum, both per unit G
+        energy() {
+            let kinetic = 0;
+            let potential = 0;
+            this.bodies.forEach((a, i) => {
+                kinetic += 0.5 * a.gm * (a.velocity[0] ** 2 + a.velocity[1] ** 2 + a.velocity[2] ** 2);
+                for (let j = i + 1; j < this.bodies.length; j++) {
+                    const b = this.bodies[j];
+                    const r = Math.hypot(b.position[0] - a.position[0], b.position[1] - a.position[1], b.position[2] - a.position[2]);
+                    potential -= (a.gm * b.gm) / Math.sqrt(r * r + this.softening * this.softening);
+                }
+            });
+            return kinetic + potential;
+        },
+
+        momentum() {
+            return [0, 1, 2].map(k => this.bodies.reduce((sum, body) => sum + body.gm * body.velocity[k], 0));
+        },
+
+        // Relative error since the last reset: energy against the total energy,
+        // momentum against the sum of the bodies' momentum magnitudes
+        drift() {
+            const momentum = this.momentum();
+            const scale = this.bodies.reduce((sum, body) => sum + body.gm * Math.hypot(...body.velocity), 0);
+            return {
+                energy: Math.abs((this.energy() - this.initialEnergy) / this.initialEnergy),
+                momentum: scale > 0 ? Math.hypot(...momentum.map((value, k) => value - this.initialMomentum[k])) / scale : 0
+            };
+        },
+
+        // Changing the bodies changes the totals, so drift is measured from here on
+        resetDrift() {
+            this.accelerationCache = null;
+            this.initialEnergy = this.energy();
+            this.initialMomentum = this.momentum();
+        },
+
+        addBody(body) {
+            this.bodies.push({
+                name: body.name,
+                gm: body.gm,
+                position: body.position.slice(),
+                velocity: body.velocity.slice()
+            });
+            this.resetDrift();
+        },
+
+        removeBody(name) {
+            this.bodies = this.bodies.filter(body => body.name !== name);
+            this.resetDrift();
+        },
+
+        setGM(name, gm) {
+            const body = this.find(name);
+            if (!body) return;
+            body.gm = gm;
+            this.resetDrift();
+        }
+    };
+    system.resetDrift();
+    return system;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createNBodySystem, NBODY_DEFAULT_ACCURACY };
+}
@@ -0,0 +1,516 @@
+// Observer mode: stand on a body at a latitude and longitude and look at its sky.
+// The main scene's distances are schematic, so the sky is a small scene of its
+// own built from the true positions: the star, planets and moons at their
+// apparent directions and sizes, lit from the star so they show phases, and as
+// bright as their albedo and distance make them. The ground hides everything
+// below the horizon, and bodies with a "sky" in the catalog get a daytime sky.
+
+const OBSERVER_DISC_DISTANCE = 3000;       // scene units, inside the star sphere
+const OBSERVER_GROUND_RADIUS = 3500;
+const OBSERVER_LIGHT_DISTANCE = 1e6;       // how far out each disc's light source sits
+const OBSERVER_MIN_FOV = 0.5;              // degrees
+const OBSERVER_MAX_FOV = 100;
+const OBSERVER_MAX_POINT_SIZE = 48;        // px, for the brightest bodies
+const OBSERVER_RESOLVED_RADIUS = 2;        // px; larger discs are drawn without a point
+const NIGHT_LIMITING_MAGNITUDE = 6;
+const DAY_LIMITING_MAGNITUDE = -4;         // only the Moon and Venus show in full daylight
+const TWILIGHT_ALTITUDES = [-12, 6];       // degrees of star altitude from night to full day
+const GROUND_NIGHT_LIGHT = 0.15;
+const DEFAULT_ALBEDO = 0.3;
+const SUN_MAGNITUDE_AT_1AU = -26.74;
+const SUN_RADIUS_KM = 695700;
+const SUN_TEMPERATURE = 5772;              // K
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const observerState = {
+    active: false,
+    body: null,       // catalog body the observer stands on
+    latitude: 51.48,  // degrees
+    longitude: 0,     // degrees east
+    azimuth: 180,     // view direction, degrees from north through east
+    altitude: 20,
+    fov: 60,
+    selected: null    // name of the body picked in the sky
+};
+
+let observerView = null;   // { scene, camera, ground, points, entries, compass, skyColor, groundColor }
+
+function isObserving() {
+    return observerState.active;
+}
+
+function canStandOn(body) {
+    return body.type !== 'star' && body.type !== 'spacecraft' && Boolean(body.parent && body.physical.radius);
+}
+
+function unitVector(vector) {
+    const length = vectorLength(vector);
+    return vector.map(value => value / length);
+}
+
+// Body-fixed axes in ecliptic coordinates: z along the spin pole and x through
+// the prime meridian. Bodies without a rotation in the catalog are taken to be
+// tidally locked, with the prime meridian facing their parent.
+function surfaceFrame(body, date) {
+    if (body.pole && body.rotation) {
+        const frame = equatorialFrame(body.pole);
+        const angle = rotationAngle(body.rotation, date);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: frame.x.map((value, k) => cos * value + sin * frame.y[k]),
+            y: frame.y.map((value, k) => cos * value - sin * frame.x[k]),
+            z: frame.z
+        };
+    }
+
+    const parent = findCatalogBody(catalog, body.parent);
+    const towardsParent = time => {
+        const position = bodyPositionAU(body, time);
+        return bodyPositionAU(parent, time).map((value, k) => value - position[k]);
+    };
+    const now = towardsParent(date);
+    const later = towardsParent(new Date(date.getTime() + body.orbit.period * SPEED_SAMPLE_FRACTION * MS_PER_DAY));
+    const x = unitVector(now);
+    const z = unitVector(crossProduct(now, later));
+    return { x: x, y: crossProduct(z, x), z: z };
+}
+
+// The observer's place in AU and the unit up, north and east directions of the
+// local horizon, all in ecliptic coordinates
+function observerHorizon(date) {
+    const body = observerState.body;
+    const frame = surfaceFrame(body, date);
+    const latitude = observerState.latitude * DEG_TO_RAD;
+    const longitude = observerState.longitude * DEG_TO_RAD;
+    const combine = (a, b, c) => [0, 1, 2].map(k => a * frame.x[k] + b * frame.y[k] + c * frame.z[k]);
+
+    const up = combine(Math.cos(latitude) * Math.cos(longitude), Math.cos(latitude) * Math.sin(longitude), Math.sin(latitude));
+    const center = bodyPositionAU(body, date);
+    return {
+        position: center.map((value, k) => value + (up[k] * body.physical.radius) / AU_KM),
+        up: up,
+        north: combine(-Math.sin(latitude) * Math.cos(longitude), -Math.sin(latitude) * Math.sin(longitude), Math.cos(latitude)),
+        east: combine(-Math.sin(longitude), Math.cos(longitude), 0)
+    };
+}
+
+// Azimuth (from north through east) and altitude of a unit direction, radians
+function horizontalCoordinates(direction, horizon) {
+    return {
+        azimuth: Math.atan2(dotProduct(direction, horizon.east), dotProduct(direction, horizon.north)),
+        altitude: Math.asin(Math.max(-1, Math.min(1, dotProduct(direction, horizon.up))))
+    };
+}
+
+function horizontalToEcliptic(azimuth, altitude, horizon) {
+    return [0, 1, 2].map(k => Math.cos(altitude) * (Math.cos(azimuth) * horizon.north[k] + Math.sin(azimuth) * horizon.east[k])
+        + Math.sin(altitude) * horizon.up[k]);
+}
+
+// Magnitude of the star seen from 1 AU, scaled from the Sun by radius and temperature
+function starMagnitudeAt1AU(star) {
+    const temperature = star.physical.temperature ? star.physical.temperature.mean : SUN_TEMPERATURE;
+    const luminosity = Math.pow(star.physical.radius / SUN_RADIUS_KM, 2) * Math.pow(temperature / SUN_TEMPERATURE, 4);
+    return SUN_MAGNITUDE_AT_1AU - 2.5 * Math.log10(luminosity);
+}
+
+// Starlight reflected by a sphere with the body's geometric albedo and a
+// Lambertian phase law; distances in AU
+function reflectedMagnitude(body, starMagnitude, starDistance, distance, phaseAngle) {
+    const albedo = body.physical.albedo || DEFAULT_ALBEDO;
+    const phase = (Math.sin(phaseAngle) + (Math.PI - phaseAngle) * Math.cos(phaseAngle)) / Math.PI;
+    const flux = (albedo * phase * Math.pow(body.physical.radius / (distance * AU_KM), 2)) / (starDistance * starDistance);
+    return starMagnitude - 2.5 * Math.log10(Math.max(flux, 1e-30));
+}
+
+// Area shared by two discs of radius r1 and r2 whose centres are d apart
+function discOverlap(r1, r2, d) {
+    if (d >= r1 + r2) return 0;
+    if (d <= Math.abs(r1 - r2)) return Math.PI * Math.pow(Math.min(r1, r2), 2);
+    const lens1 = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+    const lens2 = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+    const kite = 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+    return lens1 + lens2 - kite;
+}
+
+function compassPoint(azimuthDegrees) {
+    return COMPASS_POINTS[Math.round((((azimuthDegrees % 360) + 360) % 360) / 45) % COMPASS_POINTS.length];
+}
+
+function createObserverView() {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x000000);
+    const camera = new THREE.PerspectiveCamera(observerState.fov, window.innerWidth / window.innerHeight, 1, SKY_RADIUS * 2);
+    const labelsContainer = document.getElementById('observer-labels');
+
+    // Lower hemisphere drawn over everything else, so whatever is below the horizon is hidden
+    const ground = new THREE.Mesh(
+        new THREE.SphereGeometry(OBSERVER_GROUND_RADIUS, 48, 12, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+        new THREE.MeshBasicMaterial({ side: THREE.BackSide, transparent: true, depthTest: false, depthWrite: false })
+    );
+    ground.renderOrder = 1000;
+    scene.add(ground);
+
+    // One disc per body at its true angular size, each lit from where the star is
+    // as seen from that body. Everything is painted back to front by renderOrder.
+    const entries = catalog.bodies.filter(body => body.physical.radius && findBodyObject(body.name)).map(body => {
+        const source = findBodyObject(body.name);
+        const isStar = body.type === 'star';
+        const sunPosition = isStar ? null : { value: new THREE.Vector3() };
+        const uniforms = source.mesh.material.uniforms || {};
+        const texture = name => (uniforms[name] ? uniforms[name].value : null);
+        const color = new THREE.Color(body.color || 0xFFFFFF);
+
+        const material = isStar
+            ? new THREE.MeshBasicMaterial({ color: color.clone().lerp(new THREE.Color(0xFFFFFF), 0.6) })
+            : createSurfaceMaterial({
+                dayTexture: texture('dayTexture'),
+                nightTexture: texture('nightTexture'),
+                color: uniforms.baseColor ? uniforms.baseColor.value : color,
+                sunPosition: sunPosition
+            });
+        material.transparent = true;
+        material.depthTest = false;
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), material);
+        scene.add(mesh);
+
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.className = 'observer-label';
+        label.textContent = body.name;
+        label.addEventListener('click', () => lookAtSkyBody(body.name));
+        labelsContainer.appendChild(label);
+
+        return {
+            body: body,
+            source: source,
+            mesh: mesh,
+            sunPosition: sunPosition,
+            label: label,
+            pointColor: isStar ? material.color : color.lerp(new THREE.Color(0xFFFFFF), 0.5),
+            sighting: null
+        };
+    });
+
+    // Unresolved bodies are points drawn with the star shader, sized by magnitude
+    const pointGeometry = new THREE.BufferGeometry();
+    pointGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(entries.length * 3), 3));
+    pointGeometry.setAttribute('starColor', new THREE.BufferAttribute(new Float32Array(entries.length * 3), 3));
+    pointGeometry.setAttribute('starSize', new THREE.BufferAttribute(new Float32Array(entries.length), 1));
+    const points = new THREE.Points(pointGeometry, new THREE.ShaderMaterial({
+        uniforms: {
+            pixelRatio: { value: window.devicePixelRatio || 1 },
+            brightness: { value: 1 }
+        },
+        vertexShader: STAR_VERTEX_SHADER,
+        fragmentShader: STAR_FRAGMENT_SHADER,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    }));
+    points.frustumCulled = false;
+    scene.add(points);
+
+    const compass = COMPASS_POINTS.map((name, index) => {
+        const element = document.createElement('div');
+        element.className = 'compass-label';
+        element.textContent = name;
+        labelsContainer.appendChild(element);
+        return { element: element, azimuth: index * 45 * DEG_TO_RAD };
+    });
+
+    return {
+        scene: scene,
+        camera: camera,
+        ground: ground,
+        points: points,
+        entries: entries,
+        compass: compass,
+        skyColor: new THREE.Color(),
+        groundColor: new THREE.Color()
+    };
+}
+
+function startObserving(name, latitude, longitude, view) {
+    const body = findCatalogBody(catalog, name);
+    if (!body || !canStandOn(body)) return;
+    if (!observerView) observerView = createObserverView();
+
+    Object.assign(observerState, {
+        active: true,
+        body: body,
+        latitude: Math.max(-90, Math.min(90, latitude)),
+        longitude: longitude,
+        selected: null
+    }, view);
+    observerView.skyColor.set(body.sky ? body.sky.color : 0x000000);
+    observerView.groundColor.set((body.sky && body.sky.ground) || body.color || 0x555555);
+
+    // The star sphere and its overlays move into the observer's scene meanwhile
+    if (sky) observerView.scene.add(sky.group);
+    stopFollowing();
+    controls.enabled = false;
+    document.getElementById('planet-labels').classList.add('hidden');
+    document.getElementById('observer-labels').classList.remove('hidden');
+    syncObserverInputs();
+}
+
+function stopObserving() {
+    if (!observerState.active) return;
+    observerState.active = false;
+    if (sky) {
+        scene.add(sky.group);
+        if (sky.stars) sky.stars.material.uniforms.brightness.value = 1;
+    }
+    controls.enabled = true;
+    document.getElementById('planet-labels').classList.remove('hidden');
+    document.getElementById('observer-labels').classList.add('hidden');
+    syncObserverInputs();
+}
+
+// Turn the view to a body in the sky and describe it in the readout
+function lookAtSkyBody(name) {
+    const entry = observerView.entries.find(candidate => candidate.body.name === name);
+    if (!entry || !entry.sighting) return;
+    observerState.selected = name;
+    const azimuth = entry.sighting.azimuth / DEG_TO_RAD;
+    gsap.to(observerState, {
+        // The short way round
+        azimuth: observerState.azimuth + normalizeAngle((azimuth - observerState.azimuth) * DEG_TO_RAD) / DEG_TO_RAD,
+        altitude: entry.sighting.altitude / DEG_TO_RAD,
+        duration: motionDuration(1),
+        ease: 'power2.inOut'
+    });
+}
+
+// Called every frame; places everything in the observer's sky for the date
+function updateObserver(date) {
+    if (!observerState.active) return;
+    const view = observerView;
+    const observer = observerState.body;
+    const star = sunObject.body;
+    const horizon = observerHorizon(date);
+    const starPosition = bodyPositionAU(star, date);
+    const starMagnitude = starMagnitudeAt1AU(star);
+    const pixelsPerRadian = window.innerHeight / (observerState.fov * DEG_TO_RAD);
+
+    // Apparent place of every body, farthest first so nearer discs are painted over it
+    const visible = view.entries.filter(entry => entry.body !== observer);
+    view.entries.forEach(entry => {
+        entry.mesh.visible = entry.body !== observer;
+        entry.sighting = null;
+    });
+    visible.forEach(entry => {
+        const position = bodyPositionAU(entry.body, date);
+        const offset = position.map((value, k) => value - horizon.position[k]);
+        const distance = vectorLength(offset);
+        const direction = offset.map(value => value / distance);
+        const towardsStar = starPosition.map((value, k) => value - position[k]);
+        const phaseAngle = entry.body === star ? 0 : angleBetween(towardsStar, offset.map(value => -value));
+        entry.sighting = Object.assign(horizontalCoordinates(direction, horizon), {
+            position: position,
+            direction: direction,
+            distance: distance,
+            angularRadius: angularRadius(entry.body, distance),
+            phaseAngle: phaseAngle,
+            magnitude: entry.body === star
+                ? starMagnitude + 5 * Math.log10(distance)
+                : reflectedMagnitude(entry.body, starMagnitude, vectorLength(towardsStar), distance, phaseAngle)
+        });
+    });
+    visible.sort((a, b) => b.sighting.distance - a.sighting.distance);
+
+    // Daylight needs an atmosphere and the star above the horizon, and fades
+    // with the part of the star's disc that is covered, as in a solar eclipse
+    const starEntry = visible.find(entry => entry.body === star);
+    let daylight = 0;
+    if (observer.sky && starEntry) {
+        const starSighting = starEntry.sighting;
+        const covered = visible.reduce((area, entry) => {
+            if (entry === starEntry || entry.sighting.distance > starSighting.distance) return area;
+            const separation = angleBetween(entry.sighting.direction, starSighting.direction);
+            return area + discOverlap(starSighting.angularRadius, entry.sighting.angularRadius, separation);
+        }, 0);
+        const uncovered = Math.max(0, 1 - covered / (Math.PI * Math.pow(starSighting.angularRadius, 2)));
+        daylight = THREE.MathUtils.smoothstep(starSighting.altitude / DEG_TO_RAD, ...TWILIGHT_ALTITUDES) * uncovered;
+    }
+    view.scene.background.copy(view.skyColor).multiplyScalar(daylight);
+    if (sky && sky.stars) sky.stars.material.uniforms.brightness.value = 1 - daylight;
+    const limitingMagnitude = NIGHT_LIMITING_MAGNITUDE + (DAY_LIMITING_MAGNITUDE - NIGHT_LIMITING_MAGNITUDE) * daylight;
+
+    const starAltitude = starEntry ? starEntry.sighting.altitude / DEG_TO_RAD : -90;
+    const groundLight = GROUND_NIGHT_LIGHT + (1 - GROUND_NIGHT_LIGHT) * THREE.MathUtils.smoothstep(starAltitude, -6, 10);
+    view.ground.material.color.copy(view.groundColor).multiplyScalar(groundLight);
+    view.ground.quaternion.setFromUnitVectors(THREE.Object3D.DefaultUp, eclipticToScene(horizon.up));
+
+    const positions = view.points.geometry.getAttribute('position');
+    const colors = view.points.geometry.getAttribute('starColor');
+    const sizes = view.points.geometry.getAttribute('starSize');
+    const pointColor = new THREE.Color();
+    sizes.array.fill(0);
+    visible.forEach((entry, index) => {
+        const sighting = entry.sighting;
+        const mesh = entry.mesh;
+        eclipticToScene(sighting.direction, mesh.position).multiplyScalar(OBSERVER_DISC_DISTANCE);
+        mesh.scale.setScalar(OBSERVER_DISC_DISTANCE * Math.tan(sighting.angularRadius));
+        mesh.renderOrder = index + 1;
+        entry.source.mesh.getWorldQuaternion(mesh.quaternion);
+        if (entry.sunPosition) {
+            const towardsStar = unitVector(starPosition.map((value, k) => value - sighting.position[k]));
+            eclipticToScene(towardsStar, entry.sunPosition.value).multiplyScalar(OBSERVER_LIGHT_DISTANCE).add(mesh.position);
+        }
+
+        // Points fade out as the sky's limiting magnitude rises past them;
+        // discs big enough to see do without one, except the star's glow
+        const resolved = sighting.angularRadius * pixelsPerRadian > OBSERVER_RESOLVED_RADIUS;
+        const fade = Math.max(0, Math.min(1, limitingMagnitude - sighting.magnitude));
+        sighting.visible = entry.body === star || resolved || fade > 0;
+        if (resolved && entry.body !== star) return;
+        positions.setXYZ(index, mesh.position.x, mesh.position.y, mesh.position.z);
+        pointColor.copy(entry.pointColor).multiplyScalar(entry.body === star ? 1 : fade);
+        colors.setXYZ(index, pointColor.r, pointColor.g, pointColor.b);
+        sizes.setX(index, Math.min(FAINTEST_STAR_SIZE * Math.pow(10, 0.1 * (NIGHT_LIMITING_MAGNITUDE - sighting.magnitude)), OBSERVER_MAX_POINT_SIZE));
+    });
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    sizes.needsUpdate = true;
+
+    const viewCamera = view.camera;
+    if (viewCamera.fov !== observerState.fov || viewCamera.aspect !== window.innerWidth / window.innerHeight) {
+        viewCamera.fov = observerState.fov;
+        viewCamera.aspect = window.innerWidth / window.innerHeight;
+        viewCamera.updateProjectionMatrix();
+    }
+    viewCamera.up.copy(eclipticToScene(horizon.up));
+    viewCamera.lookAt(eclipticToScene(horizontalToEcliptic(observerState.azimuth * DEG_TO_RAD, observerState.altitude * DEG_TO_RAD, horizon)));
+
+    updateObserverLabels(horizon);
+    renderObserverReadout(starEntry);
+}
+
+// sceneDirection is null for a label that should be hidden
+function placeObserverLabel(element, sceneDirection) {
+    const screenPosition = sceneDirection && sceneDirection.project(observerView.camera);
+    const visible = Boolean(screenPosition) && screenPosition.z < 1 && Math.abs(screenPosition.x) < 1 && Math.abs(screenPosition.y) < 1;
+    element.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+    const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
+    element.style.transform = `translate(${x}px, ${y}px)`;
+}
+
+// Compass points sit on the horizon; body names follow the bodies above it
+function updateObserverLabels(horizon) {
+    const direction = new THREE.Vector3();
+    observerView.compass.forEach(({ element, azimuth }) => {
+        placeObserverLabel(element, eclipticToScene(horizontalToEcliptic(azimuth, 0, horizon), direction));
+    });
+    observerView.entries.forEach(entry => {
+        const sighting = entry.sighting;
+        const visible = labelsVisible && Boolean(sighting) && sighting.visible && sighting.altitude > 0;
+        placeObserverLabel(entry.label, visible ? eclipticToScene(sighting.direction, direction) : null);
+    });
+}
+
+let lastObserverReadout = '';
+
+function renderObserverReadout(starEntry) {
+    const degrees = value => `${value.toFixed(1)}°`;
+    const azimuth = ((observerState.azimuth % 360) + 360) % 360;
+    const lines = [
+        `Facing ${compassPoint(azimuth)} ${degrees(azimuth)}, altitude ${degrees(observerState.altitude)}, field of view ${degrees(observerState.fov)}`
+    ];
+    if (starEntry) {
+        const altitude = starEntry.sighting.altitude / DEG_TO_RAD;
+        const time = altitude > 0 ? 'day' : (altitude > TWILIGHT_ALTITUDES[0] ? 'twilight' : 'night');
+        lines.push(`${starEntry.body.name} altitude ${degrees(altitude)} (${time})`);
+    }
+    const selected = observerView.entries.find(entry => entry.body.name === observerState.selected && entry.sighting);
+    if (selected) {
+        const sighting = selected.sighting;
+        const azimuth = ((sighting.azimuth / DEG_TO_RAD) + 360) % 360;
+        let text = `${selected.body.name}: azimuth ${degrees(azimuth)}, altitude ${degrees(sighting.altitude / DEG_TO_RAD)}, ` +
+            `magnitude ${sighting.magnitude.toFixed(1)}, ${formatAngle(2 * sighting.angularRadius)} across`;
+        if (selected.body !== sunObject.body) {
+            text += `, ${Math.round(((1 + Math.cos(sighting.phaseAngle)) / 2) * 100)}% lit`;
+        }
+        lines.push(text);
+    }
+
+    const readout = lines.join('\n');
+    if (readout !== lastObserverReadout) {
+        document.getElementById('observer-readout').textContent = readout;
+        lastObserverReadout = readout;
+    }
+}
+
+// While observing, the inset looks straight down on the observer's spot
+function observerInsetOffset(object) {
+    if (!observerState.active || object.body !== observerState.body) return null;
+    const distance = new THREE.Vector3(5, 3, 5).length() * planetSceneRadius(object.body);
+    return eclipticToScene(observerHorizon(simulationClock.getDate()).up).multiplyScalar(distance);
+}
+
+function syncObserverInputs() {
+    if (observerState.body) document.getElementById('observer-body').value = observerState.body.name;
+    document.getElementById('observer-latitude').value = observerState.latitude;
+    document.getElementById('observer-longitude').value = observerState.longitude;
+    document.getElementById('observer-stop').disabled = !observerState.active;
+}
+
+function initObserver() {
+    const panel = document.getElementById('observer-panel');
+    const bodySelect = document.getElementById('observer-body');
+    catalog.bodies.filter(canStandOn).forEach(body => {
+        const option = document.createElement('option');
+        option.value = body.name;
+        option.textContent = body.name;
+        bodySelect.appendChild(option);
+    });
+    const home = findCatalogBody(catalog, OBSERVER_BODY);
+    if (home && canStandOn(home)) bodySelect.value = home.name;
+    syncObserverInputs();
+
+    document.getElementById('open-observer').addEventListener('click', () => {
+        panel.classList.remove('hidden');
+    });
+    document.getElementById('observer-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+    document.getElementById('observer-start').addEventListener('click', () => {
+        const latitude = parseFloat(document.getElementById('observer-latitude').value);
+        const longitude = parseFloat(document.getElementById('observer-longitude').value);
+        startObserving(bodySelect.value, Number.isFinite(latitude) ? latitude : 0, Number.isFinite(longitude) ? longitude : 0);
+        // The inset then looks down on where the observer stands
+        if (isObserving()) showPlanetInfo(observerState.body.name);
+    });
+    document.getElementById('observer-stop').addEventListener('click', () => {
+        stopObserving();
+        flyToOverview();
+    });
+
+    // Drag the sky to look around and scroll to zoom; orbit controls are off meanwhile
+    const canvas = renderer.domElement;
+    let drag = null;
+    canvas.addEventListener('pointerdown', (e) => {
+        if (observerState.active) drag = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!drag || !observerState.active) return;
+        const degreesPerPixel = observerState.fov / window.innerHeight;
+        observerState.azimuth -= (e.clientX - drag.x) * degreesPerPixel;
+        observerState.altitude = Math.max(-89.9, Math.min(89.9, observerState.altitude + (e.clientY - drag.y) * degreesPerPixel));
+        drag = { x: e.clientX, y: e.clientY };
+    });
+    window.addEventListener('pointerup', () => {
+        drag = null;
+    });
+    canvas.addEventListener('wheel', (e) => {
+        if (!observerState.active) return;
+        e.preventDefault();
+        const zoom = Math.pow(1.1, Math.sign(e.deltaY));
+        observerState.fov = Math.max(OBSERVER_MIN_FOV, Math.min(OBSERVER_MAX_FOV, observerState.fov * zoom));
+    }, { passive: false });
+}
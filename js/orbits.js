@@ -0,0 +1,257 @@
+// Orbital mechanics helpers: Kepler's equation, orbital elements, spin axes and
+// the mapping from real distances (AU) to scene units.
+// Elements are { a (AU), e, i, node, peri, meanAnomaly (deg, at J2000), period (days) },
+// as stored in the body catalog, with optional nodeRate/periRate (deg per day) for
+// orbits that precess noticeably, such as the Moon's.
+
+const DEG_TO_RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0); // 2000-01-01 12:00 TT (close enough to UTC for display)
+const OBLIQUITY_J2000 = 23.4392911; // Tilt of Earth's equator against the ecliptic (deg)
+
+// Distances (AU) at which the original schematic layout placed each planet.
+// Scene distances are interpolated between these points so the overview keeps
+// its familiar spacing while the directions stay true.
+const SCHEMATIC_DISTANCES = [
+    [0, 0],
+    [0.387, 10],
+    [0.723, 15],
+    [1.0, 20],
+    [1.524, 25],
+    [5.203, 45],
+    [9.537, 60],
+    [19.19, 75],
+    [30.07, 90]
+];
+
+// Catalogs for other systems can supply their own [AU, scene] table
+let distanceScale = SCHEMATIC_DISTANCES;
+
+function setDistanceScale(table) {
+    distanceScale = table && table.length >= 2 ? table : SCHEMATIC_DISTANCES;
+}
+
+function daysSinceJ2000(date) {
+    return (date.getTime() - J2000) / MS_PER_DAY;
+}
+
+// Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly E (radians)
+function solveKepler(meanAnomaly, eccentricity) {
+    const M = normalizeAngle(meanAnomaly);
+    // Very eccentric orbits start from ±PI on the same side as M, where Newton's
+    // method cannot overshoot past the other side of perihelion
+    let E = eccentricity < 0.8 ? M : (M < 0 ? -Math.PI : Math.PI);
+    for (let i = 0; i < 30; i++) {
+        const dE = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-12) break;
+    }
+    return E;
+}
+
+// Wrap an angle into the range [-PI, PI)
+function normalizeAngle(angle) {
+    const twoPi = Math.PI * 2;
+    return angle - twoPi * Math.floor((angle + Math.PI) / twoPi);
+}
+
+// Times in [start, end] at which f(t) passes through zero, found by stepping and
+// bisecting. f usually returns a wrapped angle; a jump of more than PI between
+// steps is the angle wrapping around, not a crossing.
+function findCrossings(f, start, end, step) {
+    const crossings = [];
+    let t0 = start;
+    let f0 = f(start);
+    for (let t1 = start + step; t1 <= end; t1 += step) {
+        const f1 = f(t1);
+        if (f0 !== 0 && Math.sign(f0) !== Math.sign(f1) && Math.abs(f1 - f0) < Math.PI) {
+            let low = t0;
+            let high = t1;
+            for (let i = 0; i < 40; i++) {
+                const middle = (low + high) / 2;
+                if (Math.sign(f(middle)) === Math.sign(f0)) low = middle;
+                else high = middle;
+            }
+            crossings.push((low + high) / 2);
+        }
+        t0 = t1;
+        f0 = f1;
+    }
+    return crossings;
+}
+
+// Position in the orbital plane for a given eccentric anomaly, rotated into
+// heliocentric ecliptic coordinates. Returns [x, y, z] in AU.
+function orbitalPlaneToEcliptic(elements, eccentricAnomaly) {
+    const { a, e } = elements;
+    const xv = a * (Math.cos(eccentricAnomaly) - e);
+    const yv = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    const i = elements.i * DEG_TO_RAD;
+    const node = elements.node * DEG_TO_RAD;
+    const peri = elements.peri * DEG_TO_RAD;
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosPeri = Math.cos(peri), sinPeri = Math.sin(peri);
+    const cosI = Math.cos(i), sinI = Math.sin(i);
+
+    return [
+        xv * (cosNode * cosPeri - sinNode * sinPeri * cosI) - yv * (cosNode * sinPeri + sinNode * cosPeri * cosI),
+        xv * (sinNode * cosPeri + cosNode * sinPeri * cosI) - yv * (sinNode * sinPeri - cosNode * cosPeri * cosI),
+        xv * (sinPeri * sinI) + yv * (cosPeri * sinI)
+    ];
+}
+
+// Mean anomaly (radians) of a body on a given date
+function meanAnomalyAt(elements, date) {
+    const days = daysSinceJ2000(date);
+    return (elements.meanAnomaly + (360 / elements.period) * days) * DEG_TO_RAD;
+}
+
+// Apply nodal regression and apsidal precession for the given date
+function precessedElements(elements, date) {
+    if (!elements.nodeRate && !elements.periRate) return elements;
+    const days = daysSinceJ2000(date);
+    return Object.assign({}, elements, {
+        node: elements.node + (elements.nodeRate || 0) * days,
+        peri: elements.peri + (elements.periRate || 0) * days
+    });
+}
+
+// Position [x, y, z] relative to the parent body on a given date, in the units of
+// the semi-major axis and in the orbit's reference plane (the ecliptic for planets)
+function heliocentricPosition(elements, date) {
+    const E = solveKepler(meanAnomalyAt(elements, date), elements.e);
+    return orbitalPlaneToEcliptic(precessedElements(elements, date), E);
+}
+
+// Rotate J2000 equatorial coordinates into ecliptic coordinates
+function equatorialToEcliptic(position) {
+    const eps = OBLIQUITY_J2000 * DEG_TO_RAD;
+    const [x, y, z] = position;
+    return [x, y * Math.cos(eps) + z * Math.sin(eps), -y * Math.sin(eps) + z * Math.cos(eps)];
+}
+
+// Unit vector (ecliptic coordinates) for a right ascension/declination in degrees
+function raDecToEcliptic(ra, dec) {
+    const raRad = ra * DEG_TO_RAD;
+    const decRad = dec * DEG_TO_RAD;
+    return equatorialToEcliptic([
+        Math.cos(decRad) * Math.cos(raRad),
+        Math.cos(decRad) * Math.sin(raRad),
+        Math.sin(decRad)
+    ]);
+}
+
+// Reference frame of a planet's equator, given its north pole (RA/Dec, degrees).
+// The x axis is the ascending node of the equator on the Earth's equator, which
+// is how satellite elements are usually published.
+function equatorialFrame(pole) {
+    const raRad = pole.ra * DEG_TO_RAD;
+    const z = raDecToEcliptic(pole.ra, pole.dec);
+    const x = equatorialToEcliptic([-Math.sin(raRad), Math.cos(raRad), 0]);
+    const y = [
+        z[1] * x[2] - z[2] * x[1],
+        z[2] * x[0] - z[0] * x[2],
+        z[0] * x[1] - z[1] * x[0]
+    ];
+    return { x, y, z };
+}
+
+// Express a position given in a reference frame in ecliptic coordinates
+function frameToEcliptic(position, frame) {
+    const [px, py, pz] = position;
+    return [0, 1, 2].map(k => frame.x[k] * px + frame.y[k] * py + frame.z[k] * pz);
+}
+
+// Position of a moon relative to its planet in ecliptic coordinates (units of a).
+// Moons are referred to their planet's equator unless the orbit says "ecliptic".
+function satellitePosition(elements, date, parentPole) {
+    const position = heliocentricPosition(elements, date);
+    if (elements.plane === 'ecliptic' || !parentPole) return position;
+    return frameToEcliptic(position, equatorialFrame(parentPole));
+}
+
+// Ecliptic coordinates use z towards the ecliptic north pole; the scene is Y-up
+function eclipticToScene(position, target = new THREE.Vector3()) {
+    return target.set(position[0], position[2], -position[1]);
+}
+
+// Scene layout hook: scale modes replace this mapping
+let distanceMapping = schematicDistance;
+
+function setDistanceMapping(mapping) {
+    distanceMapping = mapping;
+}
+
+function auToScene(distance) {
+    return distanceMapping(distance);
+}
+
+// Map a distance in AU onto the schematic scene scale
+function schematicDistance(distance) {
+    const table = distanceScale;
+    for (let i = 1; i < table.length; i++) {
+        if (distance <= table[i][0] || i === table.length - 1) {
+            const [au0, scene0] = table[i - 1];
+            const [au1, scene1] = table[i];
+            return scene0 + (distance - au0) * (scene1 - scene0) / (au1 - au0);
+        }
+    }
+    return distance;
+}
+
+// Scene position for an ecliptic position in AU: true direction, mapped distance
+function eclipticPositionToScene(position, target = new THREE.Vector3()) {
+    eclipticToScene(position, target);
+    const distance = target.length();
+    return distance > 0 ? target.multiplyScalar(auToScene(distance) / distance) : target;
+}
+
+// Scene position of a body on a given date
+function orbitalPositionToScene(elements, date, target = new THREE.Vector3()) {
+    return eclipticPositionToScene(heliocentricPosition(elements, date), target);
+}
+
+// Points along the full orbit ellipse, already mapped into scene coordinates.
+// Comet orbits get more points so the tight turn at perihelion stays smooth.
+function orbitPathPoints(elements, segments = elements.e > 0.8 ? 1024 : 256) {
+    const points = [];
+    for (let s = 0; s <= segments; s++) {
+        const E = (s / segments) * Math.PI * 2;
+        const point = eclipticToScene(orbitalPlaneToEcliptic(elements, E));
+        const distance = point.length();
+        points.push(point.multiplyScalar(auToScene(distance) / distance));
+    }
+    return points;
+}
+
+// Fixed orientation of a body's equator in the scene: local +Y along the spin
+// pole and local +X along the node of the equator, which is where the IAU prime
+// meridian angle W is measured from. The pole does not precess, so Earth's axis
+// keeps pointing at Polaris through the year and the seasons show.
+function equatorOrientation(pole, target = new THREE.Quaternion()) {
+    const frame = equatorialFrame(pole);
+    const node = eclipticToScene(frame.x);
+    const axis = eclipticToScene(frame.z);
+    const third = new THREE.Vector3().crossVectors(node, axis);
+    return target.setFromRotationMatrix(new THREE.Matrix4().makeBasis(node, axis, third));
+}
+
+// Prime meridian angle (radians) on a date. rotation.period is the sidereal day
+// in hours, rotation.meridian the angle W at J2000 in degrees.
+function rotationAngle(rotation, date) {
+    const turns = (daysSinceJ2000(date) * 24) / rotation.period;
+    const degrees = (rotation.meridian || 0) + 360 * (turns - Math.floor(turns));
+    return (degrees % 360) * DEG_TO_RAD;
+}
+
+// Angle between a body's spin axis and the pole of its orbit (degrees).
+// Values above 90 mean the body spins retrograde.
+function obliquity(pole, elements) {
+    const spin = raDecToEcliptic(pole.ra, pole.dec);
+    const i = elements.i * DEG_TO_RAD;
+    const node = elements.node * DEG_TO_RAD;
+    const normal = [Math.sin(i) * Math.sin(node), -Math.sin(i) * Math.cos(node), Math.cos(i)];
+    const dot = spin[0] * normal[0] + spin[1] * normal[1] + spin[2] * normal[2];
+    return Math.acos(Math.max(-1, Math.min(1, dot))) / DEG_TO_RAD;
+}
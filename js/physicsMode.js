@@ -0,0 +1,316 @@
+// N-body physics mode: the star and planets move under their mutual gravity
+// (see nbody.js) instead of on fixed Keplerian orbits, starting from their
+// positions and velocities on the current date. Masses can be changed, bodies
+// removed and rogue stars or extra planets added to watch the system respond.
+// Moons stay on their orbits around their planet, and the other tools (info
+// panel, event finder, observer) keep using the analytic orbits.
+
+const PHYSICS_ACCURACY_PRESETS = [
+    { label: 'Fast', accuracy: 0.03 },
+    { label: 'Normal', accuracy: NBODY_DEFAULT_ACCURACY },
+    { label: 'Precise', accuracy: 0.003 }
+];
+const PHYSICS_MAX_STEPS_PER_FRAME = 2000;
+const EARTH_MASS = 5.972e24;            // kg
+const ROGUE_STAR_START_DISTANCE = 60;   // AU from the star when it is added
+const ROGUE_STAR_SPEED = 10;            // km/s relative to the star
+const ROGUE_STAR_LATITUDE = 20;         // degrees above the ecliptic it comes in from
+
+const physicsState = {
+    active: false,
+    system: null,
+    startTime: 0,
+    behind: false,
+    // name -> { gm, object } for everything in the system; gm is the unscaled value
+    bodies: new Map(),
+    added: [],
+    addedCount: 0
+};
+
+let lastPhysicsReadout = '';
+
+function isPhysicsActive() {
+    return physicsState.active;
+}
+
+// Star-relative position in AU of a body in the N-body system, or null when the
+// analytic orbit applies
+function physicsPositionAU(name) {
+    if (!physicsState.active) return null;
+    const body = physicsState.system.find(name);
+    const star = physicsState.system.find(sunObject.name);
+    if (!body || !star) return null;
+    return body.position.map((value, k) => value - star.position[k]);
+}
+
+// Star-relative velocity in km/s, or null like physicsPositionAU
+function physicsVelocity(name) {
+    if (!physicsState.active) return null;
+    const body = physicsState.system.find(name);
+    const star = physicsState.system.find(sunObject.name);
+    if (!body || !star) return null;
+    return body.velocity.map((value, k) => (value - star.velocity[k]) * KM_S_PER_AU_DAY);
+}
+
+function startPhysics(date) {
+    stopPhysics();
+    const bodies = [sunObject, ...planets].map(object => {
+        const velocity = object === sunObject ? [0, 0, 0] : relativeVelocity(object.body, date);
+        return {
+            name: object.name,
+            gm: object.body.physical.mass ? gravitationalParameter(object.body.physical.mass) : 0,
+            position: bodyPositionAU(object.body, date),
+            velocity: velocity.map(value => value / KM_S_PER_AU_DAY)
+        };
+    });
+
+    // Start the star with the planets' reflex motion so the barycentre stays put
+    const star = bodies[0];
+    [0, 1, 2].forEach(k => {
+        star.velocity[k] = -bodies.slice(1).reduce((sum, body) => sum + body.gm * body.velocity[k], 0) / star.gm;
+    });
+
+    physicsState.system = createNBodySystem(bodies, {
+        time: daysSinceJ2000(date),
+        accuracy: parseFloat(document.getElementById('physics-accuracy').value) || NBODY_DEFAULT_ACCURACY
+    });
+    physicsState.startTime = physicsState.system.time;
+    physicsState.bodies = new Map(bodies.map((body, i) => [body.name, { gm: body.gm, object: i === 0 ? sunObject : planets[i - 1] }]));
+    physicsState.active = true;
+    renderPhysicsBodies();
+}
+
+function stopPhysics() {
+    if (!physicsState.active) return;
+    physicsState.active = false;
+    planets.forEach(planet => {
+        planet.group.visible = true;
+        planet.moons.forEach(moon => {
+            moon.group.visible = true;
+        });
+    });
+    physicsState.added.forEach(removeAddedBody);
+    physicsState.added = [];
+    physicsState.system = null;
+    physicsState.behind = false;
+    updatePlanetPositions(simulationClock.getDate());
+    renderPhysicsBodies();
+}
+
+function setPhysicsMass(name, scale) {
+    const entry = physicsState.bodies.get(name);
+    if (!physicsState.active || !entry) return;
+    physicsState.system.setGM(name, entry.gm * scale);
+}
+
+function removePhysicsBody(name) {
+    const entry = physicsState.bodies.get(name);
+    if (!physicsState.active || !entry || entry.object === sunObject) return;
+    physicsState.system.removeBody(name);
+    physicsState.bodies.delete(name);
+    const added = physicsState.added.find(object => object.name === name);
+    if (added) {
+        removeAddedBody(added);
+        physicsState.added = physicsState.added.filter(object => object !== added);
+    } else {
+        // Moons go with their planet; their labels check their own group
+        entry.object.group.visible = false;
+        entry.object.moons.forEach(moon => {
+            moon.group.visible = false;
+        });
+    }
+    renderPhysicsBodies();
+}
+
+// A star coming in from ROGUE_STAR_START_DISTANCE on a path that would pass
+// closestApproach AU from the star if gravity did not bend it
+function addRogueStar(solarMasses, closestApproach) {
+    const longitude = Math.random() * Math.PI * 2;
+    const latitude = ROGUE_STAR_LATITUDE * DEG_TO_RAD;
+    const inward = [-Math.cos(latitude) * Math.cos(longitude), -Math.cos(latitude) * Math.sin(longitude), -Math.sin(latitude)];
+    const sideways = crossProduct(inward, [0, 0, 1]).map(value => value / vectorLength(crossProduct(inward, [0, 0, 1])));
+    const aim = Math.min(closestApproach / ROGUE_STAR_START_DISTANCE, 1);
+    const direction = inward.map((value, k) => value * Math.sqrt(1 - aim * aim) + sideways[k] * aim);
+    addPhysicsBody('star', `Rogue star ${++physicsState.addedCount}`, solarMasses * SOLAR_MASS,
+        inward.map(value => -value * ROGUE_STAR_START_DISTANCE),
+        direction.map(value => (value * ROGUE_STAR_SPEED) / KM_S_PER_AU_DAY));
+}
+
+// A planet on a circular orbit in the ecliptic, at a random longitude
+function addPhysicsPlanet(earthMasses, distance) {
+    const star = physicsState.system.find(sunObject.name);
+    const longitude = Math.random() * Math.PI * 2;
+    const speed = Math.sqrt(star.gm / distance);
+    addPhysicsBody('planet', `Planet ${++physicsState.addedCount}`, earthMasses * EARTH_MASS,
+        [distance * Math.cos(longitude), distance * Math.sin(longitude), 0].map((value, k) => value + star.position[k]),
+        [-speed * Math.sin(longitude), speed * Math.cos(longitude), 0].map((value, k) => value + star.velocity[k]));
+}
+
+function addPhysicsBody(type, name, mass, position, velocity) {
+    if (!physicsState.active) return;
+    const gm = gravitationalParameter(mass);
+    const color = type === 'star' ? 0xFFB347 : 0x9FD3FF;
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(new THREE.SphereGeometry(1, 24, 24), new THREE.MeshBasicMaterial({ color: color })));
+    scene.add(group);
+
+    // Stars grow roughly as mass^0.8; planets take the size of the catalog planet closest in mass
+    let radius;
+    if (type === 'star') {
+        radius = () => sceneRadius(sunObject.body) * Math.pow(mass / sunObject.body.physical.mass, 0.8);
+    } else {
+        const similar = planets.reduce((best, planet) => Math.abs(Math.log((planet.body.physical.mass || 1) / mass)) < Math.abs(Math.log((best.body.physical.mass || 1) / mass)) ? planet : best);
+        radius = () => planetSceneRadius(similar.body);
+    }
+
+    // A body description just full enough for the info panel and camera
+    const body = {
+        name: name,
+        type: type,
+        added: true,
+        physical: { mass: mass },
+        display: { size: radius() },
+        description: `Added in N-body physics mode with ${formatScientific(mass)} kg.`
+    };
+    const object = { name: name, body: body, group: group, mesh: group.children[0], radius: radius };
+    physicsState.added.push(object);
+    object.label = addBodyLabel(object, 'planet-label');
+    physicsState.bodies.set(name, { gm: gm, object: object });
+    physicsState.system.addBody({ name: name, gm: gm, position: position, velocity: velocity });
+    placeAddedBodies();
+    renderPhysicsBodies();
+}
+
+function findAddedBody(name) {
+    return physicsState.added.find(object => object.name === name) || null;
+}
+
+function removeAddedBody(object) {
+    if (selectedPlanet === object) hidePlanetInfo();
+    scene.remove(object.group);
+    object.group.children[0].geometry.dispose();
+    object.label.remove();
+    planetLabels = planetLabels.filter(label => label.object !== object);
+}
+
+function placeAddedBodies() {
+    physicsState.added.forEach(object => {
+        eclipticPositionToScene(physicsPositionAU(object.name), object.group.position);
+        object.group.scale.setScalar(object.radius());
+    });
+}
+
+// Bring the integrator up to the clock. Big jumps are walked in bounded chunks,
+// holding the clock back until the integrator has caught up.
+function updatePhysics(date) {
+    if (!physicsState.active) return;
+    const system = physicsState.system;
+    physicsState.behind = !system.advance(daysSinceJ2000(date) - system.time, PHYSICS_MAX_STEPS_PER_FRAME);
+    if (physicsState.behind) {
+        simulationClock.setDate(new Date(J2000 + system.time * MS_PER_DAY));
+    }
+    placeAddedBodies();
+    renderPhysicsReadout();
+}
+
+function renderPhysicsReadout() {
+    let text = 'Planets follow their Keplerian orbits.';
+    if (physicsState.active) {
+        const system = physicsState.system;
+        const drift = system.drift();
+        const scientific = value => (value > 0 ? formatScientific(value, 1) : '0');
+        text = [
+            `Integrated ${formatDays(Math.abs(system.time - physicsState.startTime))} in ${formatNumber(system.steps)} steps`,
+            `Energy drift: ${scientific(drift.energy)}`,
+            `Momentum drift: ${scientific(drift.momentum)}`,
+            physicsState.behind ? 'Catching up with the clock…' : ''
+        ].filter(Boolean).join('\n');
+    }
+    if (text !== lastPhysicsReadout) {
+        document.getElementById('physics-readout').textContent = text;
+        lastPhysicsReadout = text;
+    }
+}
+
+// One row per body in the system: mass multiplier and a remove button
+function renderPhysicsBodies() {
+    const table = document.getElementById('physics-bodies');
+    table.innerHTML = '';
+    if (!physicsState.active) return;
+
+    physicsState.bodies.forEach((entry, name) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+
+        const massInput = document.createElement('input');
+        massInput.type = 'number';
+        massInput.min = '0';
+        massInput.step = '0.1';
+        massInput.value = physicsState.system.find(name).gm / (entry.gm || 1);
+        massInput.title = 'Mass multiplier';
+        massInput.disabled = !entry.gm;
+        massInput.addEventListener('change', () => {
+            const scale = parseFloat(massInput.value);
+            if (Number.isFinite(scale) && scale >= 0) setPhysicsMass(name, scale);
+        });
+        const massCell = row.insertCell();
+        massCell.append('× ', massInput);
+
+        const removeCell = row.insertCell();
+        if (entry.object !== sunObject) {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => removePhysicsBody(name));
+            removeCell.appendChild(removeButton);
+        }
+    });
+}
+
+function updatePhysicsAddInputs() {
+    const type = document.getElementById('physics-add-type').value;
+    document.getElementById('physics-add-mass-unit').textContent = type === 'star' ? 'M☉' : 'M⊕';
+    document.getElementById('physics-add-distance-label').textContent = type === 'star' ? 'Aim (AU)' : 'Orbit (AU)';
+    document.getElementById('physics-add-mass').value = type === 'star' ? 0.5 : 1;
+    document.getElementById('physics-add-distance').value = type === 'star' ? 10 : scaleReference.outermostOrbit / 2;
+}
+
+function initPhysicsMode() {
+    const panel = document.getElementById('physics-panel');
+    const accuracySelect = document.getElementById('physics-accuracy');
+    PHYSICS_ACCURACY_PRESETS.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.accuracy;
+        option.textContent = preset.label;
+        accuracySelect.appendChild(option);
+    });
+    accuracySelect.value = NBODY_DEFAULT_ACCURACY;
+    accuracySelect.addEventListener('change', () => {
+        if (physicsState.active) physicsState.system.accuracy = parseFloat(accuracySelect.value);
+    });
+
+    document.getElementById('physics-add-type').addEventListener('change', updatePhysicsAddInputs);
+    updatePhysicsAddInputs();
+    renderPhysicsReadout();
+
+    document.getElementById('open-physics').addEventListener('click', () => {
+        panel.classList.remove('hidden');
+    });
+    document.getElementById('physics-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+    });
+    document.getElementById('physics-start').addEventListener('click', () => {
+        startPhysics(simulationClock.getDate());
+    });
+    document.getElementById('physics-stop').addEventListener('click', () => {
+        stopPhysics();
+        renderPhysicsReadout();
+    });
+    document.getElementById('physics-add').addEventListener('click', () => {
+        if (!physicsState.active) startPhysics(simulationClock.getDate());
+        const mass = parseFloat(document.getElementById('physics-add-mass').value);
+        const distance = parseFloat(document.getElementById('physics-add-distance').value);
+        if (!(mass > 0) || !(distance > 0)) return;
+        if (document.getElementById('physics-add-type').value === 'star') addRogueStar(mass, distance);
+        else addPhysicsPlanet(mass, distance);
+    });
+}
@@ -0,0 +1,137 @@
+// Scale modes: how real distances and radii map onto scene units.
+// Each mode supplies distance(au) and radius(body); switching modes tweens a
+// blend between the old and new mapping so the layout morphs smoothly.
+
+const SCALE_TRANSITION_DURATION = 1.5;
+const TRUE_DISTANCE_OUTER_ORBIT = 600;  // scene units for the outermost planet's orbit
+const LARGEST_PLANET_TRUE_SIZE = 5.5;   // scene radius of the largest planet in true-size mode
+const LARGEST_PLANET_EXAGGERATED = 9;   // same, when distances are true and bodies exaggerated
+const LOG_DISTANCE_SCALE = 30;
+const LOG_DISTANCE_UNIT = 0.1;          // AU
+
+// Measured from the catalog once it is loaded, so modes work for any system
+const scaleReference = {
+    starRadius: 695700,
+    largestPlanetRadius: 69911,
+    outermostOrbit: 30,
+    innermostPerihelion: 0.3
+};
+
+const SCALE_MODES = {
+    schematic: {
+        label: 'Schematic',
+        distance: au => schematicDistance(au),
+        radius: body => body.display.size
+    },
+    trueSizes: {
+        label: 'True sizes, compressed distances',
+        // Push every orbit out by the star's radius so the star never swallows them
+        distance: au => trueSizeRadius(scaleReference.starRadius) + 1.5 * schematicDistance(au),
+        radius: body => trueSizeRadius(body.physical.radius) || body.display.size
+    },
+    trueDistances: {
+        label: 'True distances, exaggerated bodies',
+        distance: au => au * trueDistanceScale(),
+        radius: body => {
+            if (!body.physical.radius) return body.display.size;
+            const trueRadius = (body.physical.radius / AU_KM) * trueDistanceScale();
+            if (body.type !== 'star') {
+                return trueRadius * (LARGEST_PLANET_EXAGGERATED / ((scaleReference.largestPlanetRadius / AU_KM) * trueDistanceScale()));
+            }
+            // Stars are enlarged only as far as the innermost orbit allows
+            const maxRadius = 0.25 * scaleReference.innermostPerihelion * trueDistanceScale();
+            return Math.min(trueRadius * 20, Math.max(trueRadius, maxRadius));
+        }
+    },
+    logarithmic: {
+        label: 'Logarithmic distances',
+        distance: au => LOG_DISTANCE_SCALE * Math.log10(1 + au / LOG_DISTANCE_UNIT),
+        radius: body => body.display.size
+    }
+};
+
+// Active mapping: a blend from one mode to another, t going 0 -> 1
+const scaleState = {
+    mode: 'schematic',
+    from: SCALE_MODES.schematic,
+    to: SCALE_MODES.schematic,
+    t: 1,
+    tween: null
+};
+
+function trueSizeRadius(radiusKm) {
+    return radiusKm ? radiusKm * (LARGEST_PLANET_TRUE_SIZE / scaleReference.largestPlanetRadius) : 0;
+}
+
+function trueDistanceScale() {
+    return TRUE_DISTANCE_OUTER_ORBIT / scaleReference.outermostOrbit;
+}
+
+function initScaleModes(catalog) {
+    const star = catalog.bodies.find(body => body.type === 'star' && !body.parent);
+    const orbiting = catalog.bodies.filter(body => body.orbit && body.parent === star.name);
+    const planetRadii = orbiting.filter(body => body.type === 'planet').map(body => body.physical.radius || 0);
+
+    if (star.physical.radius) scaleReference.starRadius = star.physical.radius;
+    if (Math.max(...planetRadii) > 0) scaleReference.largestPlanetRadius = Math.max(...planetRadii);
+    const planetOrbits = orbiting.filter(body => body.type === 'planet').map(body => body.orbit.a);
+    if (planetOrbits.length > 0) scaleReference.outermostOrbit = Math.max(...planetOrbits);
+    if (orbiting.length > 0) {
+        scaleReference.innermostPerihelion = Math.min(...orbiting.map(body => body.orbit.a * (1 - body.orbit.e)));
+    }
+
+    setDistanceMapping(sceneDistance);
+}
+
+function sceneDistance(au) {
+    const { from, to, t } = scaleState;
+    if (t >= 1) return to.distance(au);
+    return from.distance(au) + (to.distance(au) - from.distance(au)) * t;
+}
+
+// Radius of a body in scene units under the current (possibly blending) mode
+function sceneRadius(body) {
+    const { from, to, t } = scaleState;
+    if (t >= 1) return to.radius(body);
+    return from.radius(body) + (to.radius(body) - from.radius(body)) * t;
+}
+
+// Freeze the current blend into a mode of its own, so a new transition can
+// start from wherever the previous one had got to
+function snapshotScaleMode() {
+    const { from, to, t } = scaleState;
+    if (t >= 1) return to;
+    return {
+        distance: au => from.distance(au) + (to.distance(au) - from.distance(au)) * t,
+        radius: body => from.radius(body) + (to.radius(body) - from.radius(body)) * t
+    };
+}
+
+// Switch modes; onUpdate runs on every step so the scene can re-layout
+function setScaleMode(name, onUpdate, animate = true) {
+    const mode = SCALE_MODES[name];
+    if (!mode) return;
+
+    if (scaleState.tween) scaleState.tween.kill();
+    scaleState.from = snapshotScaleMode();
+    scaleState.to = mode;
+    scaleState.mode = name;
+    scaleState.t = 0;
+
+    if (!animate) {
+        scaleState.t = 1;
+        onUpdate();
+        return;
+    }
+
+    scaleState.tween = gsap.to(scaleState, {
+        t: 1,
+        duration: motionDuration(SCALE_TRANSITION_DURATION),
+        ease: 'power2.inOut',
+        onUpdate: onUpdate,
+        onComplete: () => {
+            scaleState.tween = null;
+            onUpdate();
+        }
+    });
+}
@@ -0,0 +1,81 @@
+// Simulation clock: owns the simulated date and how fast it runs.
+// The rate is in simulated days per real second; negative rates run backwards.
+// The direction is kept on its own as well, so a speed of zero does not lose it.
+
+const TIME_RATE_PRESETS = [
+    { label: '1 hour/sec', rate: 1 / 24 },
+    { label: '1 day/sec', rate: 1 },
+    { label: '1 week/sec', rate: 7 },
+    { label: '1 month/sec', rate: 30.4375 },
+    { label: '1 year/min', rate: 365.25 / 60 },
+    { label: '1 year/sec', rate: 365.25 }
+];
+
+function createSimulationClock(startDate = new Date(), rate = 1) {
+    return {
+        time: startDate.getTime(),
+        rate: rate,
+        direction: rate < 0 ? -1 : 1,
+        paused: false,
+
+        // Advance by a real-time delta (seconds); returns the simulated days elapsed
+        tick(realDelta) {
+            if (this.paused) return 0;
+            const days = realDelta * this.rate;
+            this.time += days * MS_PER_DAY;
+            return days;
+        },
+
+        getDate() {
+            return new Date(this.time);
+        },
+
+        setDate(date) {
+            const time = date instanceof Date ? date.getTime() : Date.parse(date);
+            if (!Number.isNaN(time)) {
+                this.time = time;
+            }
+        },
+
+        setRate(newRate) {
+            this.rate = newRate;
+            if (newRate !== 0) this.direction = newRate < 0 ? -1 : 1;
+        },
+
+        // Change how fast time runs, keeping the direction it runs in
+        setSpeed(speed) {
+            this.rate = this.direction * Math.abs(speed);
+        },
+
+        pause() {
+            this.paused = true;
+        },
+
+        resume() {
+            this.paused = false;
+        },
+
+        togglePause() {
+            this.paused = !this.paused;
+        },
+
+        reverse() {
+            this.rate = -this.rate;
+            this.direction = -this.direction;
+        }
+    };
+}
+
+// "2026-10-18 14:03 UTC"
+function formatSimulationDate(date) {
+    const iso = date.toISOString();
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+// Human-readable rate for the time controls, e.g. "-1 day/sec"
+function formatTimeRate(rate) {
+    const preset = TIME_RATE_PRESETS.find(p => Math.abs(Math.abs(rate) - p.rate) < 1e-9);
+    const sign = rate < 0 ? '-' : '';
+    if (preset) return sign + preset.label;
+    return `${sign}${Math.abs(rate).toFixed(2)} days/sec`;
+}
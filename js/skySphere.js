@@ -0,0 +1,200 @@
+// Celestial sphere from the bundled bright-star catalog. The sky is drawn on a
+// large sphere centred on the camera, so stars stay fixed in direction however
+// far the camera travels. Constellations and reference circles are overlays.
+
+const STAR_CATALOG_URL = 'data/stars.json';
+const CONSTELLATION_CATALOG_URL = 'data/constellations.json';
+const SKY_RADIUS = 4000;
+const FAINTEST_STAR_SIZE = 1.5;  // px at magnitude 6
+const SKY_CIRCLE_SEGMENTS = 256;
+
+const skyLayers = {
+    constellationLines: false,
+    constellationNames: false,
+    ecliptic: false,
+    celestialEquator: false
+};
+
+let sky = null;  // { group, stars, constellationLines, ecliptic, celestialEquator, labels }
+
+const STAR_VERTEX_SHADER = `
+    attribute vec3 starColor;
+    attribute float starSize;
+    uniform float pixelRatio;
+    varying vec3 vColor;
+    void main() {
+        vColor = starColor;
+        gl_PointSize = starSize * pixelRatio;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const STAR_FRAGMENT_SHADER = `
+    uniform float brightness;
+    varying vec3 vColor;
+    void main() {
+        float falloff = (1.0 - smoothstep(0.1, 0.5, length(gl_PointCoord - 0.5))) * brightness;
+        gl_FragColor = vec4(vColor * falloff, falloff);
+    }
+`;
+
+async function loadSkyData(url) {
+    try {
+        const response = await fetchAsset(url);
+        return await response.json();
+    } catch (error) {
+        reportAssetProblem(url, 'Sky data missing, leaving it out', error);
+        return null;
+    }
+}
+
+// Scene-space point on the sky for a right ascension/declination in degrees
+function skyDirection(ra, dec, radius = SKY_RADIUS) {
+    return eclipticToScene(raDecToEcliptic(ra, dec)).multiplyScalar(radius);
+}
+
+// Approximate star color from its B-V index: Ballesteros' formula for the
+// temperature, then a fit to the blackbody color at that temperature
+function starColorFromBV(bv) {
+    const temperature = 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+    const t = temperature / 100;
+    const red = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+    const green = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+    const blue = t >= 66 ? 255 : (t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04);
+    const clamp = value => Math.min(Math.max(value, 0), 255) / 255;
+    return new THREE.Color(clamp(red), clamp(green), clamp(blue));
+}
+
+async function createSky() {
+    const [starData, constellationData] = await Promise.all([
+        loadSkyData(STAR_CATALOG_URL),
+        loadSkyData(CONSTELLATION_CATALOG_URL)
+    ]);
+
+    const group = new THREE.Group();
+    group.name = 'Sky';
+    sky = { group: group, labels: [] };
+
+    if (starData) {
+        sky.stars = createStars(starData.stars);
+        group.add(sky.stars);
+    }
+    if (constellationData) {
+        sky.constellationLines = createConstellationLines(constellationData.constellations);
+        group.add(sky.constellationLines);
+        createConstellationLabels(constellationData.constellations);
+    }
+
+    // The ecliptic is the scene's y = 0 plane; the equator is tilted by the obliquity
+    sky.ecliptic = createSkyCircle(angle => [Math.cos(angle), Math.sin(angle), 0], 0xFFCC33);
+    sky.celestialEquator = createSkyCircle(angle => equatorialToEcliptic([Math.cos(angle), Math.sin(angle), 0]), 0x3399FF);
+    group.add(sky.ecliptic, sky.celestialEquator);
+
+    group.children.forEach(child => {
+        child.frustumCulled = false;
+        child.renderOrder = -1;
+    });
+    applySkyLayers();
+    scene.add(group);
+}
+
+function createStars(stars) {
+    const positions = new Float32Array(stars.length * 3);
+    const colors = new Float32Array(stars.length * 3);
+    const sizes = new Float32Array(stars.length);
+
+    stars.forEach(([ra, dec, mag, bv], i) => {
+        skyDirection(ra, dec).toArray(positions, i * 3);
+        starColorFromBV(bv).toArray(colors, i * 3);
+        // Each magnitude is 2.5x in flux; grow the disc with roughly the square root of that
+        sizes[i] = FAINTEST_STAR_SIZE * Math.pow(10, 0.1 * (6 - mag));
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('starSize', new THREE.BufferAttribute(sizes, 1));
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            pixelRatio: { value: window.devicePixelRatio || 1 },
+            brightness: { value: 1 }
+        },
+        vertexShader: STAR_VERTEX_SHADER,
+        fragmentShader: STAR_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    return new THREE.Points(geometry, material);
+}
+
+function createConstellationLines(constellations) {
+    const vertices = [];
+    constellations.forEach(constellation => {
+        constellation.lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                vertices.push(...skyDirection(...line[i - 1]).toArray(), ...skyDirection(...line[i]).toArray());
+            }
+        });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    const material = new THREE.LineBasicMaterial({ color: 0x3A6EA5, transparent: true, opacity: 0.6, depthWrite: false });
+    return new THREE.LineSegments(geometry, material);
+}
+
+// pointAt(angle) gives a unit vector in ecliptic coordinates
+function createSkyCircle(pointAt, color) {
+    const points = [];
+    for (let i = 0; i < SKY_CIRCLE_SEGMENTS; i++) {
+        const angle = (i / SKY_CIRCLE_SEGMENTS) * Math.PI * 2;
+        points.push(eclipticToScene(pointAt(angle)).multiplyScalar(SKY_RADIUS));
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.5, depthWrite: false });
+    return new THREE.LineLoop(geometry, material);
+}
+
+function createConstellationLabels(constellations) {
+    const container = document.getElementById('sky-labels');
+    constellations.forEach(constellation => {
+        const element = document.createElement('div');
+        element.className = 'sky-label';
+        element.textContent = constellation.name;
+        container.appendChild(element);
+        sky.labels.push({ element: element, direction: skyDirection(...constellation.label) });
+    });
+}
+
+function setSkyLayer(name, visible) {
+    skyLayers[name] = visible;
+    applySkyLayers();
+}
+
+function applySkyLayers() {
+    if (!sky) return;
+    if (sky.constellationLines) sky.constellationLines.visible = skyLayers.constellationLines;
+    sky.ecliptic.visible = skyLayers.ecliptic;
+    sky.celestialEquator.visible = skyLayers.celestialEquator;
+    sky.labels.forEach(({ element }) => {
+        element.style.display = skyLayers.constellationNames ? 'block' : 'none';
+    });
+}
+
+// Keep the sphere centred on the camera and place the constellation names
+function updateSky(viewCamera = camera) {
+    if (!sky) return;
+    sky.group.position.copy(viewCamera.position);
+    if (!skyLayers.constellationNames) return;
+
+    const screenPosition = new THREE.Vector3();
+    sky.labels.forEach(({ element, direction }) => {
+        screenPosition.copy(direction).add(viewCamera.position).project(viewCamera);
+        const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+        const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
+        element.style.visibility = screenPosition.z < 1 ? 'visible' : 'hidden';
+        element.style.transform = `translate(${x}px, ${y}px)`;
+    });
+}
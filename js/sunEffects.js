@@ -0,0 +1,475 @@
+// Star effects: an animated photosphere with granulation and limb darkening, a
+// corona halo, prominence loops anchored on the surface, flares that rise and
+// decay, and coronal mass ejections that travel out in simulated time.
+// Everything except the CME is a child of the star mesh, so it rotates and
+// rescales with it.
+
+const MAX_FLARES = 4;
+const PROMINENCE_COUNT = 6;
+const CORONA_EXTENT = 4;              // halo radius in star radii
+const CME_SPEED_AU_PER_DAY = 0.58;    // about 1000 km/s
+const CME_TARGET = 'Earth';
+const CME_CONE_ANGLE = 35;            // degrees, half width of the ejection
+
+// Shared GLSL: 3D value noise and a few octaves of it
+const NOISE_GLSL = `
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+    float noise(vec3 p) {
+        vec3 i = floor(p);
+        vec3 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(mix(mix(hash(i), hash(i + vec3(1, 0, 0)), f.x),
+                       mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+                   mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x),
+                       mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y), f.z);
+    }
+    float fbm(vec3 p) {
+        float sum = 0.0;
+        float amplitude = 0.5;
+        for (int k = 0; k < 3; k++) {
+            sum += amplitude * noise(p);
+            p *= 2.03;
+            amplitude *= 0.5;
+        }
+        return sum;
+    }
+`;
+
+const PHOTOSPHERE_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vLocalNormal;
+    varying vec3 vViewNormal;
+    varying vec3 vViewPosition;
+    void main() {
+        vUv = uv;
+        vLocalNormal = normalize(position);
+        vViewNormal = normalize(normalMatrix * normal);
+        vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+        vViewPosition = viewPosition.xyz;
+        gl_Position = projectionMatrix * viewPosition;
+    }
+`;
+
+const PHOTOSPHERE_FRAGMENT_SHADER = `
+    #define MAX_FLARES ${MAX_FLARES}
+    uniform vec3 baseColor;
+    uniform float time;
+    uniform vec4 flares[MAX_FLARES];  // direction in star coordinates, intensity
+    #ifdef USE_MAP
+        uniform sampler2D map;
+    #endif
+    varying vec2 vUv;
+    varying vec3 vLocalNormal;
+    varying vec3 vViewNormal;
+    varying vec3 vViewPosition;
+    ${NOISE_GLSL}
+
+    void main() {
+        vec3 surface = baseColor;
+        #ifdef USE_MAP
+            surface *= texture2D(map, vUv).rgb;
+        #endif
+
+        // Granulation: small convection cells that slowly boil
+        vec3 p = vLocalNormal * 60.0;
+        float cells = fbm(p + vec3(0.0, time * 0.15, time * 0.1));
+        surface *= 0.8 + 0.4 * cells;
+
+        // Limb darkening, with the cooler limb also turning redder
+        float mu = max(dot(normalize(vViewNormal), normalize(-vViewPosition)), 0.0);
+        float limb = 0.4 + 0.6 * mu;
+        surface *= limb * mix(vec3(1.0, 0.6, 0.35), vec3(1.0), mu);
+
+        for (int k = 0; k < MAX_FLARES; k++) {
+            float closeness = max(dot(normalize(vLocalNormal), flares[k].xyz), 0.0);
+            surface += vec3(1.0, 0.95, 0.8) * flares[k].w * pow(closeness, 600.0) * 2.0;
+        }
+
+        gl_FragColor = vec4(surface, 1.0);
+    }
+`;
+
+// Camera-facing quad centred on the star; the radius follows the star's scale
+const CORONA_VERTEX_SHADER = `
+    varying vec2 vOffset;
+    void main() {
+        vOffset = position.xy;
+        float scale = length(modelMatrix[0].xyz);
+        vec4 center = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+        center.xy += position.xy * scale;
+        gl_Position = projectionMatrix * center;
+    }
+`;
+
+const CORONA_FRAGMENT_SHADER = `
+    uniform vec3 coronaColor;
+    uniform float starRadius;
+    uniform float time;
+    uniform float activity;
+    varying vec2 vOffset;
+    ${NOISE_GLSL}
+
+    void main() {
+        float r = length(vOffset) / starRadius;
+        if (r < 1.0) discard;
+        float angle = atan(vOffset.y, vOffset.x);
+
+        // Streamers: the falloff stretches out along a few noisy directions
+        float streamers = fbm(vec3(cos(angle) * 3.0, sin(angle) * 3.0, time * 0.05));
+        float corona = exp(-(r - 1.0) * (6.0 - 3.0 * streamers));
+        float halo = 0.35 * exp(-(r - 1.0) * 1.2);
+        float glow = (corona + halo) * (1.0 + activity) * (1.0 - smoothstep(${(CORONA_EXTENT - 1).toFixed(1)}, ${CORONA_EXTENT.toFixed(1)}, r));
+        gl_FragColor = vec4(coronaColor * glow, glow);
+    }
+`;
+
+// Tube along a loop; brightness flows from one foot point to the other
+const LOOP_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const LOOP_FRAGMENT_SHADER = `
+    uniform vec3 loopColor;
+    uniform float time;
+    uniform float intensity;
+    uniform float seed;
+    varying vec2 vUv;
+    void main() {
+        float flow = 0.6 + 0.4 * sin(vUv.x * 25.0 - time * 2.0 + seed);
+        float edges = sin(vUv.x * 3.14159);
+        float glow = intensity * flow * (0.5 + 0.5 * edges);
+        gl_FragColor = vec4(loopColor * glow, glow);
+    }
+`;
+
+const CME_VERTEX_SHADER = `
+    varying vec3 vDirection;
+    varying vec3 vViewNormal;
+    void main() {
+        vDirection = normalize(position);
+        vViewNormal = normalize(normalMatrix * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const CME_FRAGMENT_SHADER = `
+    uniform vec3 launchDirection;
+    uniform float coneCos;
+    uniform float opacity;
+    varying vec3 vDirection;
+    varying vec3 vViewNormal;
+    void main() {
+        float cone = smoothstep(coneCos, 1.0, dot(vDirection, launchDirection));
+        float rim = 1.0 - abs(vViewNormal.z);
+        float glow = cone * (0.25 + rim) * opacity;
+        gl_FragColor = vec4(vec3(1.0, 0.7, 0.4) * glow, glow);
+    }
+`;
+
+const sunEffectsUniforms = {
+    time: { value: 0 }
+};
+
+// Where the effects get their randomness; frame sequence exports swap in a seeded one
+let sunEffectsRandom = Math.random;
+
+// options: { texture, color }
+function createPhotosphereMaterial(options) {
+    const defines = {};
+    const uniforms = {
+        baseColor: { value: new THREE.Color(options.color !== undefined ? options.color : 0xFFFFFF) },
+        time: sunEffectsUniforms.time,
+        flares: { value: Array.from({ length: MAX_FLARES }, () => new THREE.Vector4()) }
+    };
+    if (options.texture) {
+        defines.USE_MAP = '';
+        uniforms.map = { value: options.texture };
+    }
+
+    return new THREE.ShaderMaterial({
+        defines: defines,
+        uniforms: uniforms,
+        vertexShader: PHOTOSPHERE_VERTEX_SHADER,
+        fragmentShader: PHOTOSPHERE_FRAGMENT_SHADER
+    });
+}
+
+function createSunEffects(star, body) {
+    const radius = body.display.size;
+    const effects = {
+        star: star,
+        radius: radius,
+        corona: createCorona(radius, body.color || 0xFFCC66),
+        prominences: [],
+        flares: [],
+        cme: null
+    };
+    star.add(effects.corona);
+    addProminences(effects);
+    return effects;
+}
+
+function addProminences(effects) {
+    for (let i = 0; i < PROMINENCE_COUNT; i++) {
+        const prominence = createProminence(effects.radius);
+        // Stagger lifetimes so they don't all renew together
+        prominence.age = sunEffectsRandom() * prominence.lifespan;
+        effects.star.add(prominence.mesh);
+        effects.prominences.push(prominence);
+    }
+}
+
+// Start the prominences, flares and surface animation over, drawing from random
+// from now on, so a run of frames from here depends only on the seed
+function restartSunEffects(random) {
+    sunEffectsRandom = random;
+    if (!sunEffects) return;
+    sunEffectsUniforms.time.value = 0;
+    [...sunEffects.prominences, ...sunEffects.flares].forEach(effect => disposeMesh(effect.mesh));
+    sunEffects.prominences = [];
+    sunEffects.flares = [];
+    addProminences(sunEffects);
+}
+
+function createCorona(radius, color) {
+    const size = radius * CORONA_EXTENT * 2;
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            coronaColor: { value: new THREE.Color(color) },
+            starRadius: { value: radius },
+            time: sunEffectsUniforms.time,
+            activity: { value: 0 }
+        },
+        vertexShader: CORONA_VERTEX_SHADER,
+        fragmentShader: CORONA_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    const corona = new THREE.Mesh(new THREE.PlaneGeometry(size, size), material);
+    corona.frustumCulled = false;
+    return corona;
+}
+
+function randomUnitVector(random = Math.random) {
+    const z = random() * 2 - 1;
+    const angle = random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    return new THREE.Vector3(r * Math.cos(angle), r * Math.sin(angle), z);
+}
+
+// An arch between two nearby foot points on the surface
+function createLoopMesh(radius, direction, span, height, thickness, color) {
+    const side = new THREE.Vector3().crossVectors(direction, randomUnitVector(sunEffectsRandom)).normalize();
+    const footA = direction.clone().applyAxisAngle(side, span / 2);
+    const footB = direction.clone().applyAxisAngle(side, -span / 2);
+    const curve = new THREE.CatmullRomCurve3([
+        footA.clone().multiplyScalar(radius * 0.98),
+        footA.clone().lerp(direction, 0.3).normalize().multiplyScalar(radius * (1 + height * 0.7)),
+        direction.clone().multiplyScalar(radius * (1 + height)),
+        footB.clone().lerp(direction, 0.3).normalize().multiplyScalar(radius * (1 + height * 0.7)),
+        footB.clone().multiplyScalar(radius * 0.98)
+    ]);
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            loopColor: { value: new THREE.Color(color) },
+            time: sunEffectsUniforms.time,
+            intensity: { value: 0 },
+            seed: { value: sunEffectsRandom() * 10 }
+        },
+        vertexShader: LOOP_VERTEX_SHADER,
+        fragmentShader: LOOP_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+    return new THREE.Mesh(new THREE.TubeGeometry(curve, 48, radius * thickness, 6, false), material);
+}
+
+function createProminence(radius) {
+    return {
+        mesh: createLoopMesh(radius, randomUnitVector(sunEffectsRandom), 0.1 + sunEffectsRandom() * 0.2, 0.08 + sunEffectsRandom() * 0.2, 0.012, 0xFF5522),
+        age: 0,
+        lifespan: 20 + sunEffectsRandom() * 40  // seconds
+    };
+}
+
+function disposeMesh(mesh) {
+    mesh.parent.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+}
+
+// Fast impulsive rise, slow exponential decay
+function flareIntensity(flare) {
+    if (flare.age < flare.rise) {
+        const t = flare.age / flare.rise;
+        return flare.peak * t * t * (3 - 2 * t);
+    }
+    return flare.peak * Math.exp(-(flare.age - flare.rise) / flare.decay);
+}
+
+function spawnFlare() {
+    if (!sunEffects || sunEffects.flares.length >= MAX_FLARES) return;
+    const direction = randomUnitVector(sunEffectsRandom);
+    const flare = {
+        direction: direction,
+        age: 0,
+        rise: 0.5 + sunEffectsRandom(),
+        decay: 2 + sunEffectsRandom() * 4,
+        peak: 0.6 + sunEffectsRandom() * 0.4,
+        mesh: createLoopMesh(sunEffects.radius, direction, 0.05 + sunEffectsRandom() * 0.08, 0.05 + sunEffectsRandom() * 0.1, 0.008, 0xFFF2C0)
+    };
+    sunEffects.star.add(flare.mesh);
+    sunEffects.flares.push(flare);
+}
+
+// Send a CME shell from the star towards the target planet's current position
+function launchCME(date) {
+    if (!sunEffects) return;
+    if (sunEffects.cme) disposeMesh(sunEffects.cme.mesh);
+
+    const target = planets.find(planet => planet.name === CME_TARGET) || planets[0];
+    if (!target) return null;
+    const targetPosition = target.group.getWorldPosition(new THREE.Vector3());
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            launchDirection: { value: targetPosition.clone().normalize() },
+            coneCos: { value: Math.cos(CME_CONE_ANGLE * DEG_TO_RAD) },
+            opacity: { value: 1 }
+        },
+        vertexShader: CME_VERTEX_SHADER,
+        fragmentShader: CME_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending
+    });
+    const mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 48, 32), material);
+    mesh.visible = false;
+    scene.add(mesh);
+
+    sunEffects.cme = {
+        mesh: mesh,
+        launchDays: daysSinceJ2000(date),
+        target: target,
+        targetDistance: heliocentricDistance(target, date),
+        arrived: false
+    };
+    updateCMEStatus(date);
+    return sunEffects.cme;
+}
+
+function heliocentricDistance(planet, date) {
+    const [x, y, z] = heliocentricPosition(planet.elements, date);
+    return Math.hypot(x, y, z);
+}
+
+// Distance travelled in AU, or null before launch (time may run backwards)
+function cmeDistance(cme, date) {
+    const elapsedDays = daysSinceJ2000(date) - cme.launchDays;
+    return elapsedDays < 0 ? null : elapsedDays * CME_SPEED_AU_PER_DAY;
+}
+
+function updateCME(date) {
+    const cme = sunEffects.cme;
+    if (!cme) return;
+
+    const distance = cmeDistance(cme, date);
+    const fadeStart = cme.targetDistance * 1.2;
+    if (distance === null || distance > fadeStart * 1.5) {
+        disposeMesh(cme.mesh);
+        sunEffects.cme = null;
+        updateCMEStatus(date);
+        return;
+    }
+
+    const starRadius = sunEffects.star.scale.x * sunEffects.radius;
+    cme.mesh.visible = true;
+    cme.mesh.scale.setScalar(Math.max(auToScene(distance), starRadius));
+    cme.mesh.material.uniforms.opacity.value = distance < fadeStart ? 1 : 1 - (distance - fadeStart) / (fadeStart * 0.5);
+
+    const arrived = distance >= cme.targetDistance;
+    if (arrived !== cme.arrived) {
+        cme.arrived = arrived;
+        updateCMEStatus(date);
+    }
+}
+
+function updateCMEStatus(date) {
+    const status = document.getElementById('cme-status');
+    if (!status) return;
+    const cme = sunEffects && sunEffects.cme;
+    if (!cme) {
+        status.textContent = '';
+    } else if (cme.arrived) {
+        status.textContent = `CME reached ${cme.target.name}`;
+    } else {
+        const remaining = (cme.targetDistance - (cmeDistance(cme, date) || 0)) / CME_SPEED_AU_PER_DAY;
+        status.textContent = `CME en route to ${cme.target.name}, ${remaining.toFixed(1)} days out`;
+    }
+}
+
+// delta is real seconds; flares and prominences live on screen time, the CME on
+// simulated time so it arrives when the physics says it should
+function updateSunEffects(delta, date) {
+    if (!sunEffects) return;
+    // Reduced motion holds the surface and prominences still and stops new flares;
+    // flares already under way still fade out
+    const motion = isReducedMotion() ? 0 : delta;
+    sunEffectsUniforms.time.value += motion;
+
+    sunEffects.prominences.forEach((prominence, index) => {
+        prominence.age += motion;
+        if (prominence.age >= prominence.lifespan) {
+            disposeMesh(prominence.mesh);
+            sunEffects.prominences[index] = createProminence(sunEffects.radius);
+            sunEffects.star.add(sunEffects.prominences[index].mesh);
+            return;
+        }
+        const fade = Math.min(prominence.age / 3, (prominence.lifespan - prominence.age) / 3, 1);
+        prominence.mesh.material.uniforms.intensity.value = 0.8 * fade;
+    });
+
+    // Roughly one flare per interval, at random
+    if (sunEffectsRandom() < motion / solarFlareInterval) {
+        spawnFlare();
+    }
+
+    // Collect finished flares first rather than removing while iterating
+    sunEffects.flares.forEach(flare => {
+        flare.age += delta;
+    });
+    const finished = flare => flare.age > flare.rise + flare.decay * 5;
+    sunEffects.flares.filter(finished).forEach(flare => disposeMesh(flare.mesh));
+    sunEffects.flares = sunEffects.flares.filter(flare => !finished(flare));
+
+    const flareUniforms = sunEffects.star.material.uniforms.flares.value;
+    let activity = 0;
+    flareUniforms.forEach((uniform, index) => {
+        const flare = sunEffects.flares[index];
+        if (!flare) {
+            uniform.set(0, 0, 0, 0);
+            return;
+        }
+        const intensity = flareIntensity(flare);
+        uniform.set(flare.direction.x, flare.direction.y, flare.direction.z, intensity);
+        flare.mesh.material.uniforms.intensity.value = intensity * 1.5;
+        activity += intensity;
+    });
+    sunEffects.corona.material.uniforms.activity.value = 0.3 * activity;
+
+    if (sunEffects.cme) {
+        updateCME(date);
+        if (sunEffects.cme && !sunEffects.cme.arrived) updateCMEStatus(date);
+    }
+}
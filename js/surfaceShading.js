@@ -0,0 +1,120 @@
+// Shared surface lighting for planets and moons. Everything is computed in world
+// space from the real sun position, so the terminator and phases look the same
+// from the main camera, the planet inset and any other viewpoint.
+
+const surfaceLightingUniforms = {
+    sunPosition: { value: new THREE.Vector3() }
+};
+
+const SURFACE_VERTEX_SHADER = `
+    varying vec2 vUv;
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+    void main() {
+        vUv = uv;
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorldPosition = worldPosition.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPosition;
+    }
+`;
+
+const SURFACE_FRAGMENT_SHADER = `
+    uniform vec3 sunPosition;
+    uniform vec3 baseColor;
+    uniform float ambient;
+    #ifdef USE_DAY_MAP
+        uniform sampler2D dayTexture;
+    #endif
+    #ifdef USE_NIGHT_MAP
+        uniform sampler2D nightTexture;
+    #endif
+    #ifdef USE_CLOUD_SHADOWS
+        uniform sampler2D cloudTexture;
+        uniform float cloudOffset;
+    #endif
+    varying vec2 vUv;
+    varying vec3 vWorldNormal;
+    varying vec3 vWorldPosition;
+
+    void main() {
+        vec3 normal = normalize(vWorldNormal);
+        vec3 lightDirection = normalize(sunPosition - vWorldPosition);
+        float sunHeight = dot(normal, lightDirection);
+
+        // Soft terminator: full daylight fades out over a narrow twilight band
+        float daylight = smoothstep(-0.08, 0.12, sunHeight);
+        float diffuse = max(sunHeight, 0.0) * 0.85 + 0.15 * daylight;
+
+        vec3 surface = baseColor;
+        #ifdef USE_DAY_MAP
+            surface *= texture2D(dayTexture, vUv).rgb;
+        #endif
+
+        #ifdef USE_CLOUD_SHADOWS
+            // Clouds drift relative to the ground, so look them up with the same offset
+            float cloudCover = texture2D(cloudTexture, vec2(vUv.x - cloudOffset, vUv.y)).r;
+            diffuse *= 1.0 - 0.45 * cloudCover;
+        #endif
+
+        vec3 color = surface * (diffuse + ambient);
+
+        // Reddish glow along the terminator
+        float twilight = exp(-sunHeight * sunHeight / 0.004) * (1.0 - daylight * 0.5);
+        color += surface * vec3(0.35, 0.12, 0.02) * twilight;
+
+        #ifdef USE_NIGHT_MAP
+            // Ocean glint: water is where the day map is distinctly blue
+            vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+            vec3 halfVector = normalize(lightDirection + viewDirection);
+            float water = smoothstep(0.04, 0.18, surface.b - max(surface.r, surface.g));
+            float glint = pow(max(dot(normal, halfVector), 0.0), 60.0) * water * daylight;
+            #ifdef USE_CLOUD_SHADOWS
+                glint *= 1.0 - cloudCover;
+            #endif
+            color += vec3(1.0, 0.95, 0.85) * glint * 0.8;
+
+            // City lights only where the sun is below the horizon
+            vec3 cityLights = texture2D(nightTexture, vUv).rgb;
+            color += cityLights * (1.0 - smoothstep(-0.15, 0.0, sunHeight));
+        #endif
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// options: { dayTexture, nightTexture, cloudTexture, color, ambient, sunPosition }.
+// Materials share the scene's sun position unless given their own uniform.
+function createSurfaceMaterial(options) {
+    const defines = {};
+    const uniforms = {
+        sunPosition: options.sunPosition || surfaceLightingUniforms.sunPosition,
+        baseColor: { value: new THREE.Color(options.color !== undefined ? options.color : 0xFFFFFF) },
+        ambient: { value: options.ambient !== undefined ? options.ambient : 0.04 }
+    };
+
+    if (options.dayTexture) {
+        defines.USE_DAY_MAP = '';
+        uniforms.dayTexture = { value: options.dayTexture };
+    }
+    if (options.nightTexture) {
+        defines.USE_NIGHT_MAP = '';
+        uniforms.nightTexture = { value: options.nightTexture };
+    }
+    if (options.cloudTexture) {
+        defines.USE_CLOUD_SHADOWS = '';
+        uniforms.cloudTexture = { value: options.cloudTexture };
+        uniforms.cloudOffset = { value: 0 };
+    }
+
+    return new THREE.ShaderMaterial({
+        defines: defines,
+        uniforms: uniforms,
+        vertexShader: SURFACE_VERTEX_SHADER,
+        fragmentShader: SURFACE_FRAGMENT_SHADER
+    });
+}
+
+function updateSurfaceLighting(sunWorldPosition) {
+    surfaceLightingUniforms.sunPosition.value.copy(sunWorldPosition);
+}
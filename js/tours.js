@@ -0,0 +1,174 @@
+// Guided tours: play a JSON script of steps for classroom presentations.
+// Load a different script with ?tour=data/tours/other.json
+//
+// {
+//     "name": "Tour name",
+//     "steps": [{
+//         "title": "Shown in the tour panel",
+//         "text": "Caption; for a body step it replaces the catalog description",
+//         "body": "Jupiter",           // fly there and open its info panel
+//         "camera": "overview",        // or fly back out to the whole system;
+//                                      // [x, y, z] flies there looking at the star
+//         "time": "2024-04-08T18:00:00Z",
+//         "rate": 0.5,                 // simulated days per second
+//         "paused": false,
+//         "scale": "schematic",
+//         "labels": true,
+//         "orbits": true,
+//         "layers": { "trails": true }, // any overlay layer by name
+//         "duration": 10               // seconds, or "advance": "click" to wait
+//     }]
+// }
+
+const DEFAULT_TOUR_URL = 'data/tours/grand-tour.json';
+const DEFAULT_STEP_DURATION = 10;
+
+const tourState = {
+    tour: null,
+    index: -1,
+    playing: false,
+    elapsed: 0
+};
+
+function getTourUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('tour') || DEFAULT_TOUR_URL;
+}
+
+async function loadTour(url = getTourUrl()) {
+    try {
+        const response = await fetchAsset(url);
+        const tour = await response.json();
+        if (!Array.isArray(tour.steps) || tour.steps.length === 0) {
+            throw new Error('Tour must contain a non-empty "steps" array');
+        }
+        return tour;
+    } catch (error) {
+        reportAssetProblem(url, 'Tour missing, using one made from the catalog', error);
+        return createCatalogTour(catalog);
+    }
+}
+
+// Fallback tour for any catalog: the star, then each planet and its largest moon
+function createCatalogTour(catalog) {
+    const star = catalog.bodies.find(body => body.type === 'star' && !body.parent);
+    const steps = [{ title: catalog.name, text: `A tour of ${catalog.name}.`, camera: 'overview', labels: true, orbits: true }];
+    [star, ...catalogChildren(catalog, star.name)].forEach(body => {
+        steps.push({ title: body.name, body: body.name });
+        const moons = body === star ? [] : catalogChildren(catalog, body.name);
+        if (moons.length > 0) {
+            const largest = moons.reduce((a, b) => ((b.physical.radius || 0) > (a.physical.radius || 0) ? b : a));
+            steps.push({ title: largest.name, body: largest.name });
+        }
+    });
+    return { name: `Tour of ${catalog.name}`, steps: steps };
+}
+
+function startTour(tour) {
+    tourState.tour = tour;
+    document.getElementById('tour-name').textContent = tour.name || 'Tour';
+    document.getElementById('tour-panel').classList.remove('hidden');
+    tourState.playing = true;
+    showTourStep(0);
+}
+
+function stopTour() {
+    tourState.tour = null;
+    tourState.index = -1;
+    tourState.playing = false;
+    document.getElementById('tour-panel').classList.add('hidden');
+}
+
+// Each step describes absolute settings, so stepping backwards works too
+function showTourStep(index) {
+    const tour = tourState.tour;
+    if (!tour) return;
+    if (index >= tour.steps.length) {
+        stopTour();
+        return;
+    }
+    tourState.index = Math.max(index, 0);
+    tourState.elapsed = 0;
+    const step = tour.steps[tourState.index];
+
+    if (step.time) jumpToDate(new Date(step.time));
+    if (step.rate !== undefined) simulationClock.setRate(step.rate);
+    if (step.paused !== undefined) {
+        if (step.paused) simulationClock.pause();
+        else simulationClock.resume();
+    }
+    if (step.scale) setScaleMode(step.scale, applyScaleLayout);
+    if (step.labels !== undefined) setLayerVisible('labels', step.labels);
+    if (step.orbits !== undefined) setLayerVisible('orbits', step.orbits);
+    if (step.layers) {
+        Object.entries(step.layers).forEach(([name, visible]) => setLayerVisible(name, visible));
+    }
+
+    if (step.body && findBodyObject(step.body)) {
+        showPlanetInfo(step.body, step.text);
+        flyToBody(step.body);
+    } else if (step.camera === 'overview') {
+        hidePlanetInfo();
+        flyToOverview();
+    } else if (Array.isArray(step.camera)) {
+        hidePlanetInfo();
+        const position = new THREE.Vector3().fromArray(step.camera);
+        startCameraFlight(() => ({ position: position.clone(), target: new THREE.Vector3() }), null);
+    }
+
+    document.getElementById('tour-step-title').textContent = step.title || step.body || '';
+    // Body steps show their text in the info panel instead
+    document.getElementById('tour-step-text').textContent = step.body ? '' : (step.text || '');
+    syncSettingsControls();
+    updateTourControls();
+}
+
+function nextTourStep() {
+    showTourStep(tourState.index + 1);
+}
+
+function previousTourStep() {
+    showTourStep(tourState.index - 1);
+}
+
+function toggleTourPlayback() {
+    tourState.playing = !tourState.playing;
+    updateTourControls();
+}
+
+function stepWaitsForClick(step) {
+    return step.advance === 'click';
+}
+
+function updateTourControls() {
+    const tour = tourState.tour;
+    if (!tour) return;
+    const step = tour.steps[tourState.index];
+    document.getElementById('tour-play-pause').textContent = tourState.playing ? 'Pause' : 'Play';
+    document.getElementById('tour-progress').textContent = `${tourState.index + 1} / ${tour.steps.length}`;
+    document.getElementById('tour-prev').disabled = tourState.index === 0;
+    document.getElementById('tour-next').textContent = stepWaitsForClick(step) ? 'Continue' : 'Next';
+}
+
+// Called every frame with real seconds; timed steps advance on their own
+function updateTour(delta) {
+    const tour = tourState.tour;
+    if (!tour || !tourState.playing) return;
+    const step = tour.steps[tourState.index];
+    if (stepWaitsForClick(step)) return;
+
+    tourState.elapsed += delta;
+    if (tourState.elapsed >= (step.duration || DEFAULT_STEP_DURATION)) {
+        nextTourStep();
+    }
+}
+
+function initTours() {
+    document.getElementById('start-tour').addEventListener('click', async () => {
+        startTour(await loadTour());
+    });
+    document.getElementById('tour-prev').addEventListener('click', previousTourStep);
+    document.getElementById('tour-next').addEventListener('click', nextTourStep);
+    document.getElementById('tour-play-pause').addEventListener('click', toggleTourPlayback);
+    document.getElementById('tour-exit').addEventListener('click', stopTour);
+}
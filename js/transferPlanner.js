@@ -0,0 +1,420 @@
+// Transfer planner: pick an origin and destination planet and a departure date to
+// see the Hohmann or Lambert transfer between them drawn in the scene, with a
+// probe flying it in simulation time, the delta-v budget, the next launch
+// windows and a porkchop chart of total delta-v by departure and arrival date.
+// Delta-v is heliocentric: the speed change relative to each planet, leaving
+// out climbing out of and falling into the planets' own gravity wells.
+
+const TRANSFER_PATH_SEGMENTS = 256;
+const TRANSFER_PLAYBACK_SECONDS = 15;   // real seconds for a launched probe to arrive
+const TRANSFER_COLOR = 0xFF9F1C;
+const TRANSFER_ON_TARGET = 2;           // degrees; closer than this counts as a hit
+const LAUNCH_WINDOW_COUNT = 3;
+const PLANE_CHANGE_WARNING = 5;        // degrees from a half-turn transfer
+const PORKCHOP_CELLS = 48;
+const PORKCHOP_MIN_FLIGHT = 0.3;        // flight times as fractions of the Hohmann time
+const PORKCHOP_MAX_FLIGHT = 1.7;
+const PORKCHOP_COLOR_RANGE = 2;         // totals above (1 + range) × best are left dark
+
+const transferState = {
+    origin: null,        // planet objects from `planets`
+    destination: null,
+    departure: null,
+    mode: 'hohmann',
+    flightTime: null,    // days, used by Lambert transfers
+    result: null,
+    porkchop: null
+};
+let transferObjects = null;  // { group, path, arc, probe, departureMarker, arrivalMarker }
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+function formatCalendarDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function starGravitationalParameter() {
+    return gravitationalParameter(sunObject.body.physical.mass || SOLAR_MASS);
+}
+
+// Velocity in AU/day from a small central difference
+function orbitalVelocity(elements, date) {
+    const stepDays = elements.period * SPEED_SAMPLE_FRACTION;
+    const before = heliocentricPosition(elements, addDays(date, -stepDays / 2));
+    const after = heliocentricPosition(elements, addDays(date, stepDays / 2));
+    return after.map((value, k) => (value - before[k]) / stepDays);
+}
+
+function eclipticLongitude(elements, date) {
+    const position = heliocentricPosition(elements, date);
+    return Math.atan2(position[1], position[0]);
+}
+
+// Hohmann: leave tangentially along the origin's direction, as if both orbits
+// were circles in the ecliptic. Lambert: fly from the origin's true position to
+// where the destination will be after the flight time. Returns null when
+// Lambert has no prograde solution.
+function computeTransfer(origin, destination, departure, mode, flightTime) {
+    const mu = starGravitationalParameter();
+    const hohmann = hohmannTransfer(origin.elements.a, destination.elements.a, mu);
+    const originPosition = heliocentricPosition(origin.elements, departure);
+    const result = { mode: mode, mu: mu, hohmann: hohmann, departure: departure };
+
+    if (mode === 'hohmann') {
+        const longitude = Math.atan2(originPosition[1], originPosition[0]);
+        const direction = [Math.cos(longitude), Math.sin(longitude), 0];
+        result.start = direction.map(value => value * origin.elements.a);
+        result.velocity = [-direction[1] * hohmann.departureSpeed, direction[0] * hohmann.departureSpeed, 0];
+        result.flightTime = hohmann.flightTime;
+        result.departureDeltaV = hohmann.departureDeltaV;
+        result.arrivalDeltaV = hohmann.arrivalDeltaV;
+    } else {
+        const arrival = addDays(departure, flightTime);
+        const solution = solveLambert(originPosition, heliocentricPosition(destination.elements, arrival), flightTime, mu);
+        if (!solution) return null;
+        result.start = originPosition;
+        result.velocity = solution.v1;
+        result.flightTime = flightTime;
+        result.departureDeltaV = distanceBetweenAU(solution.v1, orbitalVelocity(origin.elements, departure));
+        result.arrivalDeltaV = distanceBetweenAU(solution.v2, orbitalVelocity(destination.elements, arrival));
+    }
+
+    result.arrival = addDays(departure, result.flightTime);
+    result.end = propagateOrbit(result.start, result.velocity, result.flightTime, mu);
+    result.missAngle = angleBetween(result.end, heliocentricPosition(destination.elements, result.arrival));
+    result.transferAngle = angleBetween(result.start, result.end);
+    result.phaseAngle = normalizeAngle(eclipticLongitude(destination.elements, departure) - eclipticLongitude(origin.elements, departure));
+    result.arcPoints = transferPathPoints(result, result.flightTime);
+
+    // The whole ellipse, faint, when the transfer orbit is bound
+    const semiMajorAxis = 1 / (2 / vectorLength(result.start) - dotProduct(result.velocity, result.velocity) / mu);
+    result.pathPoints = semiMajorAxis > 0
+        ? transferPathPoints(result, 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / mu))
+        : result.arcPoints;
+    return result;
+}
+
+function transferPathPoints(result, days) {
+    const points = [];
+    for (let s = 0; s <= TRANSFER_PATH_SEGMENTS; s++) {
+        points.push(propagateOrbit(result.start, result.velocity, (s / TRANSFER_PATH_SEGMENTS) * days, result.mu));
+    }
+    return points;
+}
+
+// Departure dates for which the destination reaches the far side of a Hohmann
+// transfer just as the probe does. Using the true positions at arrival rather
+// than the circular-orbit phase angle keeps the windows right for eccentric orbits.
+function findLaunchWindows(origin, destination, from, count = LAUNCH_WINDOW_COUNT) {
+    const flightTime = hohmannTransfer(origin.elements.a, destination.elements.a, starGravitationalParameter()).flightTime;
+    const synodic = synodicPeriod(origin.elements.period, destination.elements.period);
+    const offset = days => normalizeAngle(
+        eclipticLongitude(destination.elements, addDays(from, days + flightTime)) - eclipticLongitude(origin.elements, addDays(from, days)) - Math.PI
+    );
+
+    return findCrossings(offset, 0, synodic * (count + 1), synodic / 180)
+        .slice(0, count)
+        .map(days => addDays(from, days));
+}
+
+// Total delta-v (km/s) for departures over one synodic period centred on the
+// given date, and a range of arrivals
+function computePorkchop(origin, destination, date) {
+    const mu = starGravitationalParameter();
+    const hohmannTime = hohmannTransfer(origin.elements.a, destination.elements.a, mu).flightTime;
+    const span = synodicPeriod(origin.elements.period, destination.elements.period);
+    const from = addDays(date, -span / 2);
+    const firstArrival = PORKCHOP_MIN_FLIGHT * hohmannTime;
+    const lastArrival = span + PORKCHOP_MAX_FLIGHT * hohmannTime;
+    const departureDay = i => (i / (PORKCHOP_CELLS - 1)) * span;
+    const arrivalDay = j => firstArrival + (j / (PORKCHOP_CELLS - 1)) * (lastArrival - firstArrival);
+
+    const arrivals = [];
+    for (let j = 0; j < PORKCHOP_CELLS; j++) {
+        const date = addDays(from, arrivalDay(j));
+        arrivals.push({ position: heliocentricPosition(destination.elements, date), velocity: orbitalVelocity(destination.elements, date) });
+    }
+
+    const totals = new Float32Array(PORKCHOP_CELLS * PORKCHOP_CELLS).fill(NaN);
+    let best = null;
+    for (let i = 0; i < PORKCHOP_CELLS; i++) {
+        const date = addDays(from, departureDay(i));
+        const originPosition = heliocentricPosition(origin.elements, date);
+        const originVelocity = orbitalVelocity(origin.elements, date);
+        for (let j = 0; j < PORKCHOP_CELLS; j++) {
+            const flightTime = arrivalDay(j) - departureDay(i);
+            if (flightTime < firstArrival) continue;
+            const solution = solveLambert(originPosition, arrivals[j].position, flightTime, mu);
+            if (!solution) continue;
+            const total = (distanceBetweenAU(solution.v1, originVelocity) + distanceBetweenAU(solution.v2, arrivals[j].velocity)) * KM_S_PER_AU_DAY;
+            totals[j * PORKCHOP_CELLS + i] = total;
+            if (!best || total < best.total) best = { i: i, j: j, total: total };
+        }
+    }
+    return { from: from, departureDay: departureDay, arrivalDay: arrivalDay, span: span, firstArrival: firstArrival, lastArrival: lastArrival, totals: totals, best: best };
+}
+
+function drawPorkchop() {
+    const canvas = document.getElementById('porkchop');
+    const context = canvas.getContext('2d');
+    const porkchop = transferState.porkchop;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!porkchop || !porkchop.best) return;
+
+    // Departure runs left to right, arrival bottom to top
+    const cell = canvas.width / PORKCHOP_CELLS;
+    const minimum = porkchop.best.total;
+    for (let i = 0; i < PORKCHOP_CELLS; i++) {
+        for (let j = 0; j < PORKCHOP_CELLS; j++) {
+            const total = porkchop.totals[j * PORKCHOP_CELLS + i];
+            const t = (total - minimum) / (minimum * PORKCHOP_COLOR_RANGE);
+            if (!(t <= 1)) continue;
+            context.fillStyle = `hsl(${240 * (1 - t)}, 90%, ${55 - 25 * t}%)`;
+            context.fillRect(i * cell, canvas.height - (j + 1) * cell, Math.ceil(cell), Math.ceil(cell));
+        }
+    }
+    context.strokeStyle = '#FFFFFF';
+    context.strokeRect(porkchop.best.i * cell, canvas.height - (porkchop.best.j + 1) * cell, cell, cell);
+
+    // The transfer currently shown
+    const result = transferState.result;
+    if (result) {
+        const x = (daysBetween(porkchop.from, result.departure) / porkchop.span) * canvas.width;
+        const y = canvas.height - ((daysBetween(porkchop.from, result.arrival) - porkchop.firstArrival) / (porkchop.lastArrival - porkchop.firstArrival)) * canvas.height;
+        context.fillStyle = '#FFFFFF';
+        context.beginPath();
+        context.arc(x, y, 3, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    const caption = document.getElementById('porkchop-caption');
+    caption.textContent = `Departure ${formatCalendarDate(porkchop.from)} → ${formatCalendarDate(addDays(porkchop.from, porkchop.span))}, ` +
+        `arrival ${formatCalendarDate(addDays(porkchop.from, porkchop.firstArrival))} ↑ ${formatCalendarDate(addDays(porkchop.from, porkchop.lastArrival))}. ` +
+        `Best ${porkchop.best.total.toFixed(2)} km/s (outlined).`;
+}
+
+function daysBetween(from, to) {
+    return (to.getTime() - from.getTime()) / MS_PER_DAY;
+}
+
+// A click on the chart picks that departure and arrival as a Lambert transfer
+function pickPorkchopCell(x, y) {
+    const porkchop = transferState.porkchop;
+    const canvas = document.getElementById('porkchop');
+    if (!porkchop) return;
+    const i = Math.min(Math.floor((x / canvas.clientWidth) * PORKCHOP_CELLS), PORKCHOP_CELLS - 1);
+    const j = Math.min(Math.floor(((canvas.clientHeight - y) / canvas.clientHeight) * PORKCHOP_CELLS), PORKCHOP_CELLS - 1);
+    if (!Number.isFinite(porkchop.totals[j * PORKCHOP_CELLS + i])) return;
+
+    transferState.departure = addDays(porkchop.from, porkchop.departureDay(i));
+    transferState.flightTime = Math.round(porkchop.arrivalDay(j) - porkchop.departureDay(i));
+    transferState.mode = 'lambert';
+    updateTransfer();
+}
+
+function createTransferObjects() {
+    const group = new THREE.Group();
+    group.visible = false;
+    const path = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: TRANSFER_COLOR, opacity: 0.3, transparent: true }));
+    const arc = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: TRANSFER_COLOR }));
+    const markerMaterial = new THREE.MeshBasicMaterial({ color: TRANSFER_COLOR });
+    const probe = new THREE.Mesh(new THREE.OctahedronGeometry(0.25), markerMaterial);
+    const departureMarker = new THREE.Mesh(new THREE.SphereGeometry(0.12, 12, 12), markerMaterial);
+    const arrivalMarker = departureMarker.clone();
+    group.add(path, arc, probe, departureMarker, arrivalMarker);
+    scene.add(group);
+    transferObjects = { group, path, arc, probe, departureMarker, arrivalMarker };
+}
+
+// Re-map the transfer into the scene for the current scale mode
+function layoutTransfer() {
+    const result = transferState.result;
+    if (!transferObjects || !result) return;
+    const { path, arc, departureMarker, arrivalMarker } = transferObjects;
+    path.geometry.setFromPoints(result.pathPoints.map(point => eclipticPositionToScene(point)));
+    arc.geometry.setFromPoints(result.arcPoints.map(point => eclipticPositionToScene(point)));
+    eclipticPositionToScene(result.start, departureMarker.position);
+    eclipticPositionToScene(result.end, arrivalMarker.position);
+    updateTransferPlanner(simulationClock.getDate());
+}
+
+// Called every frame: the probe flies the transfer in simulation time
+function updateTransferPlanner(date) {
+    const result = transferState.result;
+    if (!transferObjects || !transferObjects.group.visible || !result) return;
+    const probe = transferObjects.probe;
+    const days = daysBetween(result.departure, date);
+    probe.visible = days >= 0 && days <= result.flightTime;
+    if (probe.visible) {
+        eclipticPositionToScene(propagateOrbit(result.start, result.velocity, days, result.mu), probe.position);
+    }
+}
+
+function updateTransfer() {
+    const { origin, destination, departure, mode } = transferState;
+    if (mode === 'hohmann' || !transferState.flightTime) {
+        transferState.flightTime = Math.round(hohmannTransfer(origin.elements.a, destination.elements.a, starGravitationalParameter()).flightTime);
+    }
+    transferState.result = origin !== destination ? computeTransfer(origin, destination, departure, mode, transferState.flightTime) : null;
+    transferObjects.group.visible = Boolean(transferState.result);
+
+    syncTransferInputs();
+    layoutTransfer();
+    renderTransferData();
+    renderLaunchWindows();
+    drawPorkchop();
+}
+
+function renderTransferData() {
+    const { origin, destination, result } = transferState;
+    const kmPerSecond = value => `${(value * KM_S_PER_AU_DAY).toFixed(2)} km/s`;
+    const degrees = angle => `${(angle / DEG_TO_RAD).toFixed(1)}°`;
+    let rows;
+    if (origin === destination) {
+        rows = [['Transfer', 'Pick two different planets']];
+    } else if (!result) {
+        rows = [['Transfer', 'No transfer with this flight time']];
+    } else {
+        rows = [
+            ['Departure', formatCalendarDate(result.departure)],
+            ['Arrival', formatCalendarDate(result.arrival)],
+            ['Flight time', formatDays(result.flightTime)],
+            ['Departure Δv', kmPerSecond(result.departureDeltaV)],
+            ['Arrival Δv', kmPerSecond(result.arrivalDeltaV)],
+            ['Total Δv', kmPerSecond(result.departureDeltaV + result.arrivalDeltaV)]
+        ];
+        if (result.mode === 'hohmann') {
+            rows.push(['Phase angle needed (circular orbits)', degrees(result.hohmann.phaseAngle)]);
+            rows.push(['Phase angle on departure', degrees(result.phaseAngle)]);
+        }
+        // Exactly opposite ends leave the orbit plane undefined; Lambert then
+        // tilts it steeply to reach the destination's inclination
+        if (result.mode === 'lambert' && Math.PI - result.transferAngle < PLANE_CHANGE_WARNING * DEG_TO_RAD) {
+            rows.push(['Note', 'Transfer angle close to 180°: the plane change makes Δv spike. Try a slightly different flight time.']);
+        }
+        const miss = result.missAngle / DEG_TO_RAD;
+        rows.push([`${destination.name} at arrival`, miss < TRANSFER_ON_TARGET ? 'On target' : `Missed by ${miss.toFixed(0)}°`]);
+        rows.push(['Synodic period', formatDays(synodicPeriod(origin.elements.period, destination.elements.period))]);
+    }
+
+    const table = document.getElementById('transfer-data');
+    table.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = table.insertRow();
+        const heading = document.createElement('th');
+        heading.textContent = label;
+        row.appendChild(heading);
+        row.insertCell().textContent = value;
+    });
+}
+
+function renderLaunchWindows() {
+    const { origin, destination, departure } = transferState;
+    const list = document.getElementById('transfer-windows');
+    list.innerHTML = '';
+    if (origin === destination) return;
+
+    findLaunchWindows(origin, destination, departure).forEach(date => {
+        const button = document.createElement('button');
+        button.textContent = formatCalendarDate(date);
+        button.title = 'Plan a Hohmann transfer for this window';
+        button.addEventListener('click', () => {
+            transferState.departure = date;
+            transferState.mode = 'hohmann';
+            updateTransfer();
+        });
+        list.appendChild(button);
+    });
+}
+
+function syncTransferInputs() {
+    document.getElementById('transfer-origin').value = transferState.origin.name;
+    document.getElementById('transfer-destination').value = transferState.destination.name;
+    document.getElementById('transfer-departure').value = formatCalendarDate(transferState.departure);
+    document.getElementById('transfer-mode').value = transferState.mode;
+    const flightTimeInput = document.getElementById('transfer-flight-time');
+    flightTimeInput.value = transferState.flightTime;
+    flightTimeInput.disabled = transferState.mode === 'hohmann';
+}
+
+// Start the clock at departure, fast enough that the probe arrives in a few seconds
+function launchTransferProbe() {
+    const result = transferState.result;
+    if (!result) return;
+    jumpToDate(result.departure);
+    simulationClock.setRate(result.flightTime / TRANSFER_PLAYBACK_SECONDS);
+    simulationClock.resume();
+    updateTimeControls();
+}
+
+function initTransferPlanner() {
+    const panel = document.getElementById('transfer-panel');
+    const originSelect = document.getElementById('transfer-origin');
+    const destinationSelect = document.getElementById('transfer-destination');
+    const departureInput = document.getElementById('transfer-departure');
+    const modeSelect = document.getElementById('transfer-mode');
+    const flightTimeInput = document.getElementById('transfer-flight-time');
+    const porkchopCanvas = document.getElementById('porkchop');
+
+    [originSelect, destinationSelect].forEach(select => {
+        // Comets are too eccentric for the Lambert solver's porkchop grid to be useful
+        planets.filter(planet => planet.body.type !== 'comet').forEach(planet => {
+            const option = document.createElement('option');
+            option.value = planet.name;
+            option.textContent = planet.name;
+            select.appendChild(option);
+        });
+    });
+    const planetNamed = name => planets.find(planet => planet.name === name);
+    transferState.origin = planetNamed('Earth') || planets[0];
+    transferState.destination = planetNamed('Mars') || planets[planets.length - 1];
+    createTransferObjects();
+
+    // A different pair of planets needs a new chart
+    const changePlanets = () => {
+        transferState.origin = planetNamed(originSelect.value);
+        transferState.destination = planetNamed(destinationSelect.value);
+        transferState.flightTime = null;
+        transferState.porkchop = null;
+        document.getElementById('porkchop-caption').textContent = '';
+        updateTransfer();
+    };
+    originSelect.addEventListener('change', changePlanets);
+    destinationSelect.addEventListener('change', changePlanets);
+
+    departureInput.addEventListener('change', () => {
+        const time = Date.parse(`${departureInput.value}T00:00:00Z`);
+        if (Number.isNaN(time)) return;
+        transferState.departure = new Date(time);
+        updateTransfer();
+    });
+    modeSelect.addEventListener('change', () => {
+        transferState.mode = modeSelect.value;
+        updateTransfer();
+    });
+    flightTimeInput.addEventListener('change', () => {
+        const days = parseFloat(flightTimeInput.value);
+        if (!(days > 0)) return;
+        transferState.flightTime = days;
+        updateTransfer();
+    });
+
+    document.getElementById('open-transfer-planner').addEventListener('click', () => {
+        panel.classList.remove('hidden');
+        transferState.departure = simulationClock.getDate();
+        updateTransfer();
+    });
+    document.getElementById('transfer-close').addEventListener('click', () => {
+        panel.classList.add('hidden');
+        transferObjects.group.visible = false;
+    });
+    document.getElementById('transfer-launch').addEventListener('click', launchTransferProbe);
+    document.getElementById('transfer-porkchop').addEventListener('click', () => {
+        if (transferState.origin === transferState.destination) return;
+        transferState.porkchop = computePorkchop(transferState.origin, transferState.destination, transferState.departure);
+        drawPorkchop();
+    });
+    porkchopCanvas.addEventListener('click', (e) => pickPorkchopCell(e.offsetX, e.offsetY));
+}
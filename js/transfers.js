@@ -0,0 +1,125 @@
+// Two-body transfer orbits around the star: the Hohmann transfer between circular
+// orbits, a Lambert solver for the orbit that joins two positions in a given time,
+// and universal-variable propagation along the result.
+// Positions are [x, y, z] in AU, velocities in AU per day, times in days.
+
+const KM_S_PER_AU_DAY = AU_KM / 86400;
+const LAMBERT_ITERATIONS = 60;
+const PROPAGATION_ITERATIONS = 50;
+
+function dotProduct(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function crossProduct(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function vectorLength(a) {
+    return Math.hypot(a[0], a[1], a[2]);
+}
+
+function angleBetween(a, b) {
+    return Math.acos(Math.max(-1, Math.min(1, dotProduct(a, b) / (vectorLength(a) * vectorLength(b)))));
+}
+
+// GM of the star in AU³/day² from its mass in kg
+function gravitationalParameter(mass) {
+    return (GRAVITATIONAL_CONSTANT * mass * 86400 * 86400) / Math.pow(AU_KM * 1000, 3);
+}
+
+// Stumpff functions C(z) and S(z) of the universal-variable formulation
+function stumpffC(z) {
+    if (z > 0) return (1 - Math.cos(Math.sqrt(z))) / z;
+    if (z < 0) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    return 1 / 2;
+}
+
+function stumpffS(z) {
+    if (z > 0) return (Math.sqrt(z) - Math.sin(Math.sqrt(z))) / Math.pow(z, 1.5);
+    if (z < 0) return (Math.sinh(Math.sqrt(-z)) - Math.sqrt(-z)) / Math.pow(-z, 1.5);
+    return 1 / 6;
+}
+
+// Position t days along the orbit that passes through r0 with velocity v0
+function propagateOrbit(r0, v0, t, mu) {
+    const radius = vectorLength(r0);
+    const radialSpeed = dotProduct(r0, v0) / radius;
+    const alpha = 2 / radius - dotProduct(v0, v0) / mu;
+    const sqrtMu = Math.sqrt(mu);
+
+    // Newton's method on the universal Kepler equation for the anomaly x
+    let x = sqrtMu * Math.abs(alpha) * t;
+    for (let i = 0; i < PROPAGATION_ITERATIONS; i++) {
+        const z = alpha * x * x;
+        const c = stumpffC(z);
+        const s = stumpffS(z);
+        const f = (radius * radialSpeed / sqrtMu) * x * x * c + (1 - alpha * radius) * x * x * x * s + radius * x - sqrtMu * t;
+        const slope = (radius * radialSpeed / sqrtMu) * x * (1 - z * s) + (1 - alpha * radius) * x * x * c + radius;
+        const dx = f / slope;
+        x -= dx;
+        if (Math.abs(dx) < 1e-10) break;
+    }
+
+    const z = alpha * x * x;
+    const f = 1 - (x * x / radius) * stumpffC(z);
+    const g = t - (x * x * x / sqrtMu) * stumpffS(z);
+    return r0.map((value, k) => f * value + g * v0[k]);
+}
+
+// Prograde orbit of less than one revolution from r1 to r2 in tof days.
+// Returns { v1, v2 }, the velocities at both ends, or null if there is none.
+function solveLambert(r1, r2, tof, mu) {
+    const radius1 = vectorLength(r1);
+    const radius2 = vectorLength(r2);
+    let theta = Math.acos(Math.max(-1, Math.min(1, dotProduct(r1, r2) / (radius1 * radius2))));
+    if (crossProduct(r1, r2)[2] < 0) theta = 2 * Math.PI - theta;
+    const A = Math.sin(theta) * Math.sqrt((radius1 * radius2) / (1 - Math.cos(theta)));
+    if (!Number.isFinite(A) || A === 0) return null;
+
+    const y = z => radius1 + radius2 + (A * (z * stumpffS(z) - 1)) / Math.sqrt(stumpffC(z));
+    const timeOfFlight = z => {
+        const yz = y(z);
+        return (Math.pow(yz / stumpffC(z), 1.5) * stumpffS(z) + A * Math.sqrt(yz)) / Math.sqrt(mu);
+    };
+
+    // Time of flight grows with z; bracket it between the hyperbolic limit
+    // (where y turns negative) and one full revolution, then bisect
+    let low = -4 * Math.PI * Math.PI;
+    let high = 4 * Math.PI * Math.PI - 1e-6;
+    while (y(low) < 0 && low < high) low += 0.1;
+    if (!(timeOfFlight(low) < tof && timeOfFlight(high) > tof)) return null;
+    for (let i = 0; i < LAMBERT_ITERATIONS; i++) {
+        const middle = (low + high) / 2;
+        if (timeOfFlight(middle) < tof) low = middle;
+        else high = middle;
+    }
+
+    const yz = y((low + high) / 2);
+    const f = 1 - yz / radius1;
+    const g = A * Math.sqrt(yz / mu);
+    const gDot = 1 - yz / radius2;
+    return {
+        v1: r2.map((value, k) => (value - f * r1[k]) / g),
+        v2: r2.map((value, k) => (gDot * value - r1[k]) / g)
+    };
+}
+
+// Hohmann transfer between circular orbits of radius r1 and r2 (AU)
+function hohmannTransfer(r1, r2, mu) {
+    const a = (r1 + r2) / 2;
+    return {
+        semiMajorAxis: a,
+        flightTime: Math.PI * Math.sqrt((a * a * a) / mu),
+        departureSpeed: Math.sqrt(mu * (2 / r1 - 1 / a)),
+        departureDeltaV: Math.abs(Math.sqrt(mu / r1) * (Math.sqrt(r2 / a) - 1)),
+        arrivalDeltaV: Math.abs(Math.sqrt(mu / r2) * (1 - Math.sqrt(r1 / a))),
+        // How far the destination must lead the origin at departure (radians)
+        phaseAngle: normalizeAngle(Math.PI * (1 - Math.pow(a / r2, 1.5)))
+    };
+}
+
+// Days between repeats of the same planet alignment
+function synodicPeriod(period1, period2) {
+    return 1 / Math.abs(1 / period1 - 1 / period2);
+}
@@ -0,0 +1,292 @@
+// View state: everything needed to reproduce what is on screen. The current
+// state is kept in the URL hash so a link reopens the same view, and named
+// viewpoints are saved in localStorage and can be exported/imported as JSON.
+
+const BOOKMARKS_STORAGE_KEY = 'solarSystemViewpoints';
+const URL_UPDATE_INTERVAL = 1000; // ms
+
+let lastWrittenHash = '';
+
+function captureViewState() {
+    return {
+        time: simulationClock.getDate().toISOString(),
+        rate: simulationClock.rate,
+        paused: simulationClock.paused,
+        camera: [...camera.position.toArray(), ...controls.target.toArray()].map(value => Number(value.toFixed(3))),
+        selected: selectedPlanet ? selectedPlanet.name : null,
+        follow: followTarget ? followTarget.name : null,
+        compare: compareObject ? compareObject.name : null,
+        scale: scaleState.mode,
+        planetSize: planetSizeScale,
+        layers: visibleLayerNames(),
+        asteroids: asteroidCount,
+        // [body, latitude, longitude, azimuth, altitude, field of view] while on a surface
+        observer: isObserving()
+            ? [observerState.body.name, ...['latitude', 'longitude', 'azimuth', 'altitude', 'fov'].map(key => Number(observerState[key].toFixed(2)))]
+            : null
+    };
+}
+
+// Every key of a captured state is written, empty when there is nothing selected
+// or followed, so opening the link resets what it does not name
+function encodeViewState(state) {
+    const params = new URLSearchParams();
+    params.set('time', state.time);
+    params.set('rate', state.rate);
+    params.set('paused', state.paused ? '1' : '0');
+    params.set('camera', state.camera.join(','));
+    params.set('selected', state.selected || '');
+    params.set('follow', state.follow || '');
+    params.set('compare', state.compare || '');
+    params.set('scale', state.scale);
+    params.set('size', state.planetSize);
+    params.set('layers', state.layers.join(','));
+    params.set('asteroids', state.asteroids);
+    params.set('observer', state.observer ? state.observer.join(',') : '');
+    // Commas and colons are legal in a fragment; leave them readable
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Only keys that are present and valid end up in the result, so a hand-written
+// link can set just the time or just the camera
+function decodeViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+    const number = key => {
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) ? value : undefined;
+    };
+
+    if (params.has('time') && !Number.isNaN(Date.parse(params.get('time')))) state.time = params.get('time');
+    if (number('rate') !== undefined) state.rate = number('rate');
+    if (params.has('paused')) state.paused = params.get('paused') === '1';
+    if (params.has('camera')) {
+        const values = params.get('camera').split(',').map(parseFloat);
+        if (values.length === 6 && values.every(Number.isFinite)) state.camera = values;
+    }
+    // Present but empty means none
+    ['selected', 'follow', 'compare'].forEach(key => {
+        if (params.has(key)) state[key] = params.get(key) || null;
+    });
+    if (SCALE_MODES[params.get('scale')]) state.scale = params.get('scale');
+    if (number('size') !== undefined) state.planetSize = number('size');
+    if (params.has('layers')) state.layers = params.get('layers').split(',').filter(name => name in overlayLayers);
+    // Links from before the layer list had a key per overlay
+    if (params.has('labels')) state.labels = params.get('labels') !== '0';
+    if (params.has('orbits')) state.orbits = params.get('orbits') !== '0';
+    if (params.has('missions')) state.missions = params.get('missions') !== '0';
+    if (params.has('sky')) state.sky = params.get('sky').split(',').filter(name => name in skyLayers);
+    if (number('asteroids') !== undefined) state.asteroids = number('asteroids');
+    if (params.get('observer') === '') state.observer = null;
+    if (params.get('observer')) {
+        const [name, ...values] = params.get('observer').split(',');
+        const numbers = values.map(parseFloat);
+        if (numbers.length === 5 && numbers.every(Number.isFinite)) state.observer = [name, ...numbers];
+    }
+    return state;
+}
+
+function applyViewState(state) {
+    if (state.time) simulationClock.setDate(new Date(state.time));
+    if (state.rate !== undefined) simulationClock.setRate(state.rate);
+    if (state.paused !== undefined) {
+        if (state.paused) simulationClock.pause();
+        else simulationClock.resume();
+    }
+
+    if (state.scale) setScaleMode(state.scale, applyScaleLayout, false);
+    if (state.planetSize !== undefined) {
+        planetSizeScale = state.planetSize;
+        updatePlanetSizes();
+    }
+    if (state.asteroids !== undefined) setAsteroidCount(state.asteroids);
+    if (state.layers) {
+        Object.keys(overlayLayers).forEach(name => setLayerVisible(name, state.layers.includes(name)));
+    }
+    if (state.labels !== undefined) setLayerVisible('labels', state.labels);
+    if (state.orbits !== undefined) setLayerVisible('orbits', state.orbits);
+    if (state.missions !== undefined) setLayerVisible('missions', state.missions);
+    if (state.sky) {
+        Object.keys(skyLayers).forEach(name => setLayerVisible(name, state.sky.includes(name)));
+    }
+
+    updatePlanetPositions(simulationClock.getDate());
+    updateTimeDisplay(simulationClock.getDate());
+
+    if (state.compare !== undefined) setCompareBody(state.compare);
+    if (state.selected && findBodyObject(state.selected)) {
+        showPlanetInfo(state.selected);
+    } else if (state.selected !== undefined) {
+        hidePlanetInfo();
+    }
+
+    if (state.camera) {
+        stopFollowing();
+        camera.position.fromArray(state.camera, 0);
+        controls.target.fromArray(state.camera, 3);
+        controls.update();
+    }
+    const followObject = state.follow && findBodyObject(state.follow);
+    if (followObject) {
+        followTarget = followObject;
+        followObject.mesh.getWorldPosition(lastFollowPosition);
+    }
+
+    if (state.observer) {
+        const [name, latitude, longitude, azimuth, altitude, fov] = state.observer;
+        startObserving(name, latitude, longitude, { azimuth: azimuth, altitude: altitude, fov: fov });
+    } else if (state.observer === null) {
+        stopObserving();
+    }
+
+    syncSettingsControls();
+}
+
+// Bring the settings panel back in line after state changed behind its back
+function syncSettingsControls() {
+    document.getElementById('planet-size-slider').value = planetSizeScale;
+    document.getElementById('scale-mode-select').value = scaleState.mode;
+    document.getElementById('asteroid-count-slider').value = asteroidCount;
+    syncLayerControls();
+    updateTimeControls();
+}
+
+function updateUrlHash() {
+    const hash = '#' + encodeViewState(captureViewState());
+    if (hash !== window.location.hash) {
+        // replaceState keeps the back button free of a new entry every second
+        history.replaceState(null, '', hash);
+    }
+    lastWrittenHash = hash;
+}
+
+function initViewState() {
+    if (window.location.hash.length > 1) {
+        applyViewState(decodeViewState(window.location.hash));
+    }
+
+    // A pasted link or edited hash; ignore the ones we wrote ourselves
+    window.addEventListener('hashchange', () => {
+        if (window.location.hash !== lastWrittenHash) {
+            applyViewState(decodeViewState(window.location.hash));
+        }
+    });
+    setInterval(updateUrlHash, URL_UPDATE_INTERVAL);
+
+    initBookmarks();
+}
+
+function loadBookmarks() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BOOKMARKS_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.map(parseBookmark).filter(Boolean) : [];
+    } catch (error) {
+        console.error('Error reading saved viewpoints:', error);
+        return [];
+    }
+}
+
+function saveBookmarks(bookmarks) {
+    try {
+        localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(bookmarks));
+    } catch (error) {
+        console.error('Error saving viewpoints:', error);
+    }
+}
+
+// A viewpoint with its state passed through the link encoding, which drops
+// malformed values; null if the state cannot be encoded or has no time or camera
+function parseBookmark(bookmark) {
+    if (!bookmark || typeof bookmark.name !== 'string' || !bookmark.state || typeof bookmark.state !== 'object') {
+        return null;
+    }
+    try {
+        const state = decodeViewState(encodeViewState(bookmark.state));
+        return state.time && state.camera ? { name: bookmark.name, state: state } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Add or replace a viewpoint by name
+function addBookmark(name, state) {
+    const bookmarks = loadBookmarks().filter(bookmark => bookmark.name !== name);
+    bookmarks.push({ name: name, state: state });
+    saveBookmarks(bookmarks);
+}
+
+function deleteBookmark(name) {
+    saveBookmarks(loadBookmarks().filter(bookmark => bookmark.name !== name));
+}
+
+function exportBookmarks() {
+    const data = { name: catalog.name, viewpoints: loadBookmarks() };
+    downloadBlob(new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' }), 'viewpoints.json');
+}
+
+// Imported viewpoints are merged in; same-named ones are replaced. The outcome
+// is shown next to the import button
+async function importBookmarks(file) {
+    const status = document.getElementById('bookmark-status');
+    try {
+        const data = JSON.parse(await file.text());
+        const viewpoints = Array.isArray(data) ? data : data && data.viewpoints;
+        if (!Array.isArray(viewpoints)) {
+            throw new Error('Expected a "viewpoints" array');
+        }
+        const valid = viewpoints.map(parseBookmark).filter(Boolean);
+        valid.forEach(bookmark => addBookmark(bookmark.name, bookmark.state));
+        const skipped = viewpoints.length - valid.length;
+        status.textContent = `Imported ${valid.length} viewpoint${valid.length === 1 ? '' : 's'}`
+            + (skipped > 0 ? `, skipped ${skipped} invalid` : '');
+    } catch (error) {
+        console.error(`Error importing viewpoints from ${file.name}:`, error);
+        status.textContent = `Could not import ${file.name}: ${error.message}`;
+    }
+}
+
+function initBookmarks() {
+    const nameInput = document.getElementById('bookmark-name');
+    const list = document.getElementById('bookmark-list');
+    const fileInput = document.getElementById('bookmark-import-file');
+
+    const refreshList = () => {
+        list.innerHTML = '';
+        loadBookmarks().forEach(bookmark => {
+            const option = document.createElement('option');
+            option.value = bookmark.name;
+            option.textContent = bookmark.name;
+            list.appendChild(option);
+        });
+    };
+
+    document.getElementById('bookmark-save').addEventListener('click', () => {
+        const name = nameInput.value.trim() || formatSimulationDate(simulationClock.getDate());
+        addBookmark(name, captureViewState());
+        nameInput.value = '';
+        refreshList();
+        list.value = name;
+    });
+
+    document.getElementById('bookmark-go').addEventListener('click', () => {
+        const bookmark = loadBookmarks().find(saved => saved.name === list.value);
+        if (bookmark) applyViewState(bookmark.state);
+    });
+
+    document.getElementById('bookmark-delete').addEventListener('click', () => {
+        deleteBookmark(list.value);
+        refreshList();
+    });
+
+    document.getElementById('bookmark-export').addEventListener('click', exportBookmarks);
+    document.getElementById('bookmark-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        if (fileInput.files.length > 0) {
+            await importBookmarks(fileInput.files[0]);
+            refreshList();
+        }
+        fileInput.value = '';
+    });
+
+    refreshList();
+}
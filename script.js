@@ -1,70 +1,49 @@
-let scene, camera, renderer, sun, planets, pointLight, ambientLight, starField, asteroidBelt, planetCamera, planetRenderer, solarFlares;
-let rotationSpeed = 1;
-const MAX_ROTATION_SPEED = 100;
+let scene, camera, renderer, sun, planets, pointLight, ambientLight, asteroidBelt, planetCamera, planetRenderer, sunEffects;
+const MAX_SLIDER_RATE = 100;
 let planetSizeScale = 1;
-let asteroidCount = 1000;
+let asteroidCount = 20000;
+let asteroidSizeScale = 0.04;
+let asteroidSizeExponent = 2.5;
 let solarFlareInterval = 10;
-const textureLoader = new THREE.TextureLoader();
 const clock = new THREE.Clock();
 
-let earthDayTexture, earthNightTexture;
+let catalog, sunObject;
 let planetLabels = [];
 let labelsVisible = true;
 
-const planetInfo = {
-    Mercury: "Mercury, the smallest planet in our solar system, is a rocky world with a heavily cratered surface. Its proximity to the Sun results in extreme temperature variations, with scorching days and frigid nights. Despite its size, Mercury has a surprisingly strong magnetic field.",
-    Venus: "Venus, often called Earth's twin due to its similar size and mass, is a world of extremes. Its thick atmosphere traps heat, making it the hottest planet in our solar system. The surface is a hellish landscape of volcanoes, rocky plains, and crushing atmospheric pressure.",
-    Earth: "Earth, our blue marble, is the only known planet to harbor life. With its diverse ecosystems, from deep oceans to towering mountains, Earth is a unique oasis in space. Its atmosphere and magnetic field protect life from harmful solar radiation.",
-    Mars: "Mars, the Red Planet, has long captured human imagination. Its rusty color comes from iron-rich minerals in its soil. Mars boasts the solar system's largest volcano, Olympus Mons, and a canyon system, Valles Marineris, that dwarfs Earth's Grand Canyon.",
-    Jupiter: "Jupiter, the largest planet in our solar system, is a gas giant with a turbulent atmosphere. Its Great Red Spot is a massive storm that has raged for centuries. Jupiter's powerful magnetic field and numerous moons make it a miniature solar system of its own.",
-    Saturn: "Saturn, famous for its spectacular ring system, is a gas giant composed mainly of hydrogen and helium. Its low density means it could float in water if there were an ocean large enough. Saturn's moon Titan is the only moon in the solar system with a substantial atmosphere.",
-    Uranus: "Uranus, an ice giant, is unique for its tilted rotation axis, causing extreme seasonal changes. It appears as a featureless blue-green globe due to methane in its atmosphere. Uranus has a complex system of thin, dark rings and numerous small moons.",
-    Neptune: "Neptune, the windiest planet in our solar system, is a dynamic world of supersonic winds and dark storm systems. Its blue color comes from methane in the atmosphere. Neptune's largest moon, Triton, is one of the few moons that orbit in a direction opposite to its planet's rotation."
-};
-
-// Helper function to load texture with fallback
-function loadTextureWithFallback(url, fallbackColor) {
-    return new Promise((resolve) => {
-        textureLoader.load(
-            url,
-            (texture) => {
-                console.log(`Texture loaded successfully: ${url}`);
-                resolve(texture);
-            },
-            undefined,
-            (error) => {
-                console.error(`Error loading texture ${url}:`, error);
-                resolve(new THREE.Color(fallbackColor));
-            }
-        );
-    });
-}
+// Drives every animated body; its rate is in simulated days per real second
+const simulationClock = createSimulationClock(new Date(), 1);
 
 async function init() {
-    console.log('Initializing solar system...');
+    initAssetDiagnostics();
     scene = new THREE.Scene();
-    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(70, 50, 70);
+    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.05, 5000);
+    camera.position.copy(OVERVIEW_POSITION);
     camera.lookAt(scene.position);
 
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     document.getElementById('scene-container').appendChild(renderer.domElement);
+    initCameraControls();
 
     // Create planet camera and renderer
-    planetCamera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    planetCamera = new THREE.PerspectiveCamera(60, 1, 0.05, 5000);
     planetRenderer = new THREE.WebGLRenderer({ antialias: true });
     planetRenderer.setSize(300, 300);
     const planetViewContainer = document.createElement('div');
     planetViewContainer.id = 'planet-view';
+    planetViewContainer.className = 'hidden';
     planetViewContainer.appendChild(planetRenderer.domElement);
     document.body.appendChild(planetViewContainer);
 
-    // Load Earth day and night textures
-    earthDayTexture = await loadTextureWithFallback('textures/earth_day.jpg', 0x1E90FF);
-    earthNightTexture = await loadTextureWithFallback('textures/earth_night.jpg', 0x000033);
+    catalog = await loadCatalog();
+    setDistanceScale(catalog.distanceScale);
+    initScaleModes(catalog);
+    document.title = catalog.name;
+    document.getElementById('title').textContent = catalog.name;
 
     await createSolarSystem();
+    finishLoading();
 
     window.addEventListener('resize', onWindowResize, false);
 
@@ -72,319 +51,378 @@ async function init() {
 }
 
 async function createSolarSystem() {
-    createStarField();
-    createAsteroidBelt();
-    
-    // Create Sun
-    const sunGeometry = new THREE.SphereGeometry(5, 32, 32);
-    const sunTextureOrColor = await loadTextureWithFallback('textures/sun.jpg', 0xFFFF00);
-    const sunMaterial = new THREE.MeshBasicMaterial({ 
-        map: sunTextureOrColor instanceof THREE.Texture ? sunTextureOrColor : null,
-        color: sunTextureOrColor instanceof THREE.Color ? sunTextureOrColor : 0xFFFFFF
-    });
-    sun = new THREE.Mesh(sunGeometry, sunMaterial);
+    await createSky();
+
+    // The first star without a parent sits at the origin and lights the scene
+    const starBody = catalog.bodies.find(body => body.type === 'star' && !body.parent);
+    sun = createStar(starBody);
     scene.add(sun);
+    sunObject = {
+        name: starBody.name,
+        body: starBody,
+        group: sun,
+        mesh: sun,
+        equatorQuaternion: starBody.pole ? equatorOrientation(starBody.pole) : new THREE.Quaternion()
+    };
 
-    // Create solar flares
-    solarFlares = createSolarFlares();
-    sun.add(solarFlares);
+    // Corona, prominences and flares
+    sunEffects = createSunEffects(sun, starBody);
 
     // Add point light (sun light)
-    pointLight = new THREE.PointLight(0xffffff, 1.5, 1000);
+    pointLight = new THREE.PointLight(0xffffff, 1.5, 0);
     scene.add(pointLight);
 
     // Add ambient light
     ambientLight = new THREE.AmbientLight(0x404040, 0.5); // soft white light
     scene.add(ambientLight);
 
-    // Create planets
-    planets = await Promise.all([
-        createPlanet(0.8, 'textures/mercury.jpg', 10, false, false, false, false, [], 'Mercury'),
-        createPlanet(1.5, 'textures/venus.jpg', 15, false, false, false, false, [], 'Venus'),
-        createPlanet(1.6, 'textures/earth.jpg', 20, true, false, true, true, [], 'Earth'),
-        createPlanet(1.2, 'textures/mars.jpg', 25, false, false, false, false, [{ size: 0.1, orbitRadius: 2 }, { size: 0.08, orbitRadius: 2.5 }], 'Mars'),
-        createPlanet(3.5, 'textures/jupiter.jpg', 45, false, false, false, false, [
-            { size: 0.28, orbitRadius: 5 },  // Io
-            { size: 0.24, orbitRadius: 6 },  // Europa
-            { size: 0.41, orbitRadius: 7 },  // Ganymede
-            { size: 0.38, orbitRadius: 8 }   // Callisto
-        ], 'Jupiter'),
-        createPlanet(3, 'textures/saturn.jpg', 60, false, true, false, false, [{ size: 0.4, orbitRadius: 6 }], 'Saturn'),
-        createPlanet(2.5, 'textures/uranus.jpg', 75, false, false, false, false, [{ size: 0.2, orbitRadius: 4 }], 'Uranus'),
-        createPlanet(2.3, 'textures/neptune.jpg', 90, false, false, false, false, [{ size: 0.21, orbitRadius: 5 }], 'Neptune')
-    ]);
+    // Create everything orbiting the star; moons are attached by createPlanet
+    const orbitingBodies = catalog.bodies.filter(body => body.orbit && body.parent === starBody.name);
+    planets = orbitingBodies.map(body => createPlanet(body, catalogChildren(catalog, body.name)));
 
     createOrbitLines();
+    createComets();
+
+    if (catalog.asteroidBelt) {
+        const perturber = findCatalogBody(catalog, catalog.asteroidBelt.perturber);
+        asteroidBelt = createAsteroidBelt(catalog.asteroidBelt, perturber && perturber.orbit);
+        layoutAsteroidBelt();
+        scene.add(asteroidBelt);
+    }
+
+    if (catalog.kuiperBelt) {
+        const perturber = findCatalogBody(catalog, catalog.kuiperBelt.perturber);
+        scene.add(createKuiperBelt(catalog.kuiperBelt, perturber && perturber.orbit));
+    }
+    if (catalog.oortCloud) {
+        scene.add(createOortCloud());
+    }
+    layoutOuterBelts();
+
+    if (catalog.missions) {
+        await createMissions(catalog.missions);
+    }
+
+    createLayers();
+
+    updatePlanetPositions(simulationClock.getDate());
 }
 
-async function createPlanet(size, textureFile, orbitRadius, hasMoon = false, hasRings = false, hasClouds = false, isEarth = false, moons = [], name) {
-    console.log(`Creating planet with texture: ${textureFile}`);
+function createStar(body) {
+    const starGeometry = new THREE.SphereGeometry(body.display.size, 32, 32);
+    const starMaterial = createPhotosphereMaterial({
+        texture: loadTexture(body.texture, { kind: 'star', color: body.color || 0xFFFF00 })
+    });
+    const star = new THREE.Mesh(starGeometry, starMaterial);
+    star.name = body.name;
+    return star;
+}
+
+// Giant planets get banded stand-in textures, everything else a rocky one
+const GIANT_PLANET_RADIUS = 15000; // km
+
+function createPlanet(body, moons = []) {
+    const size = body.display.size;
     const planetGroup = new THREE.Group();
     
     const planetGeometry = new THREE.SphereGeometry(size, 32, 32);
-    let planetMaterial;
-
-    if (isEarth) {
-        planetMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                dayTexture: { value: earthDayTexture },
-                nightTexture: { value: earthNightTexture },
-                sunDirection: { value: new THREE.Vector3(1, 0, 0) }
-            },
-            vertexShader: `
-                varying vec2 vUv;
-                varying vec3 vNormal;
-                void main() {
-                    vUv = uv;
-                    vNormal = normalize(normalMatrix * normal);
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D dayTexture;
-                uniform sampler2D nightTexture;
-                uniform vec3 sunDirection;
-                varying vec2 vUv;
-                varying vec3 vNormal;
-                void main() {
-                    float intensity = max(0.0, dot(vNormal, sunDirection));
-                    vec4 dayColor = texture2D(dayTexture, vUv);
-                    vec4 nightColor = texture2D(nightTexture, vUv);
-                    gl_FragColor = mix(nightColor, dayColor, intensity);
-                }
-            `
-        });
-    } else {
-        const textureOrColor = await loadTextureWithFallback(textureFile, 0x888888);
-        planetMaterial = new THREE.MeshPhongMaterial({ 
-            map: textureOrColor instanceof THREE.Texture ? textureOrColor : null,
-            color: textureOrColor instanceof THREE.Color ? textureOrColor : 0xFFFFFF,
-            shininess: 30,
-            specular: 0x444444
-        });
-    }
+
+    const giant = body.physical && body.physical.radius > GIANT_PLANET_RADIUS;
+    const cloudTexture = body.clouds ? loadTexture(body.clouds.texture, { kind: 'clouds', color: 0xFFFFFF }) : null;
+
+    // Night lights, ocean glint and cloud shadows switch on when the catalog has them (Earth)
+    const planetMaterial = createSurfaceMaterial({
+        dayTexture: loadTexture(body.texture, { kind: giant ? 'banded' : 'rocky', color: body.color || 0x888888 }),
+        nightTexture: body.nightTexture ? loadTexture(body.nightTexture, { kind: 'night' }) : null,
+        cloudTexture: cloudTexture
+    });
 
     const planet = new THREE.Mesh(planetGeometry, planetMaterial);
-    planetGroup.add(planet);
+    planet.name = body.name;
 
-    let moonObjects = [];
-    if (hasMoon || moons.length > 0) {
-        if (moons.length === 0) {
-            moons = [{ size: size * 0.2, orbitRadius: size * 2 }];
-        }
-        for (const moon of moons) {
-            const moonObj = await createMoon(moon.size, moon.orbitRadius);
-            planetGroup.add(moonObj);
-            moonObjects.push({
-                group: moonObj,
-                orbitRadius: moon.orbitRadius,
-                angle: Math.random() * Math.PI * 2,
-                rotationSpeed: 0.02 / moon.size
-            });
-        }
+    // The surface, rings, clouds and atmosphere live in the tilted equatorial
+    // frame; moons stay in the planet group because their orbits are absolute
+    const equatorGroup = new THREE.Group();
+    if (body.pole) {
+        equatorOrientation(body.pole, equatorGroup.quaternion);
+    }
+    equatorGroup.add(planet);
+    planetGroup.add(equatorGroup);
+
+    const moonObjects = moons.map(moon => {
+        const moonObj = createMoon(moon);
+        planetGroup.add(moonObj);
+        return {
+            name: moon.name,
+            body: moon,
+            parent: body.name,
+            group: moonObj,
+            mesh: moonObj.children[0],
+            elements: moon.orbit,
+            orbitRadius: moon.display.orbitRadius
+        };
+    });
+
+    if (body.rings) {
+        const rings = createRings(size, body.rings);
+        equatorGroup.add(rings);
     }
 
-    if (hasRings) {
-        const rings = await createSaturnRings(size);
-        planetGroup.add(rings);
+    let clouds = null;
+    if (body.clouds) {
+        clouds = createClouds(size, cloudTexture);
+        equatorGroup.add(clouds);
     }
 
-    if (hasClouds) {
-        const clouds = await createClouds(size);
-        planetGroup.add(clouds);
+    if (body.atmosphere) {
+        equatorGroup.add(createAtmosphere(size, body.atmosphere));
     }
 
-    planetGroup.position.x = orbitRadius;
+    orbitalPositionToScene(body.orbit, simulationClock.getDate(), planetGroup.position);
     scene.add(planetGroup);
 
     return { 
-        name: name,
+        name: body.name,
+        body: body,
         group: planetGroup, 
         mesh: planet,
-        orbitRadius: orbitRadius, 
-        angle: Math.random() * Math.PI * 2,
-        rotationSpeed: 0.02 / size, // Smaller planets rotate faster
+        equator: equatorGroup,
+        clouds: clouds,
+        elements: body.orbit,
         moons: moonObjects
     };
 }
 
-async function createMoon(size, orbitRadius) {
-    const moonGeometry = new THREE.SphereGeometry(size, 32, 32);
-    const textureOrColor = await loadTextureWithFallback('textures/moon.jpg', 0xAAAAAA);
-    const moonMaterial = new THREE.MeshPhongMaterial({ 
-        map: textureOrColor instanceof THREE.Texture ? textureOrColor : null,
-        color: textureOrColor instanceof THREE.Color ? textureOrColor : 0xFFFFFF
+function createMoon(body) {
+    const moonGeometry = new THREE.SphereGeometry(body.display.size, 32, 32);
+    // The shared moon texture is tinted per moon so each one looks distinct; a
+    // moon without a texture gets a stand-in in its own colour instead
+    const moonMaterial = createSurfaceMaterial({
+        dayTexture: loadTexture(body.texture, { kind: 'rocky', color: body.texture ? 0xFFFFFF : (body.color || 0xAAAAAA) }),
+        color: body.tint || 0xFFFFFF
     });
     const moon = new THREE.Mesh(moonGeometry, moonMaterial);
+    moon.name = body.name;
     
     const moonGroup = new THREE.Group();
     moonGroup.add(moon);
     return moonGroup;
 }
 
-async function createSaturnRings(planetSize) {
-    const innerRadius = planetSize * 1.2;
-    const outerRadius = planetSize * 2;
+// Ring radii in the catalog are multiples of the planet radius
+function createRings(planetSize, ringsInfo) {
+    const innerRadius = planetSize * (ringsInfo.innerRadius || 1.2);
+    const outerRadius = planetSize * (ringsInfo.outerRadius || 2);
     const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 64);
     
-    const ringTexture = await loadTextureWithFallback('textures/saturn_rings.png', 0xF4A460);
+    const ringTexture = loadTexture(ringsInfo.texture, { kind: 'rings', color: ringsInfo.color || 0xF4A460 });
     const ringMaterial = new THREE.MeshBasicMaterial({ 
-        map: ringTexture instanceof THREE.Texture ? ringTexture : null,
-        color: ringTexture instanceof THREE.Color ? ringTexture : 0xFFFFFF,
+        map: ringTexture,
         side: THREE.DoubleSide,
         transparent: true,
         opacity: 0.8
     });
-    
-    if (ringTexture instanceof THREE.Texture) {
-        ringTexture.rotation = Math.PI / 2;
-        ringTexture.center = new THREE.Vector2(0.5, 0.5);
-    }
+    ringTexture.rotation = Math.PI / 2;
+    ringTexture.center = new THREE.Vector2(0.5, 0.5);
     
     const rings = new THREE.Mesh(ringGeometry, ringMaterial);
     rings.rotation.x = Math.PI / 2;
     return rings;
 }
 
-async function createClouds(planetSize) {
+// The cloud map doubles as its own alpha so clear sky stays transparent
+function createClouds(planetSize, cloudTexture) {
     const cloudGeometry = new THREE.SphereGeometry(planetSize * 1.01, 32, 32);
-    const cloudTexture = await loadTextureWithFallback('textures/earth_clouds.jpg', 0xFFFFFF);
     const cloudMaterial = new THREE.MeshPhongMaterial({
-        map: cloudTexture instanceof THREE.Texture ? cloudTexture : null,
+        map: cloudTexture,
+        alphaMap: cloudTexture,
         transparent: true,
-        opacity: 0.8
+        opacity: 0.9,
+        depthWrite: false
     });
     return new THREE.Mesh(cloudGeometry, cloudMaterial);
 }
 
-function createStarField() {
-    const starsGeometry = new THREE.BufferGeometry();
-    const starsMaterial = new THREE.PointsMaterial({ color: 0xFFFFFF, size: 0.1 });
-
-    const starsVertices = [];
-    for (let i = 0; i < 10000; i++) {
-        const x = (Math.random() - 0.5) * 2000;
-        const y = (Math.random() - 0.5) * 2000;
-        const z = (Math.random() - 0.5) * 2000;
-        starsVertices.push(x, y, z);
-    }
-
-    starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
-    starField = new THREE.Points(starsGeometry, starsMaterial);
-    scene.add(starField);
+// Thin glowing shell that brightens towards the limb
+function createAtmosphere(planetSize, atmosphereInfo) {
+    const atmosphereMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            glowColor: { value: new THREE.Color(atmosphereInfo.color || 0x88BBFF) }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            void main() {
+                vNormal = normalize(normalMatrix * normal);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 glowColor;
+            varying vec3 vNormal;
+            void main() {
+                float intensity = pow(0.7 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 3.0);
+                gl_FragColor = vec4(glowColor, 1.0) * intensity;
+            }
+        `,
+        side: THREE.BackSide,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false
+    });
+    return new THREE.Mesh(new THREE.SphereGeometry(planetSize * 1.08, 32, 32), atmosphereMaterial);
 }
 
-function createAsteroidBelt() {
-    const asteroidGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-    const asteroidMaterial = new THREE.MeshBasicMaterial({ color: 0x888888 });
-    
-    asteroidBelt = new THREE.Group();
-    
-    for (let i = 0; i < asteroidCount; i++) {
-        const asteroid = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
-        const angle = Math.random() * Math.PI * 2;
-        const radius = 32 + Math.random() * 8;  // Adjusted to be between Mars and Jupiter
-        asteroid.position.set(
-            Math.cos(angle) * radius,
-            (Math.random() - 0.5) * 3,  // Slightly increased vertical spread
-            Math.sin(angle) * radius
-        );
-        asteroid.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-        asteroidBelt.add(asteroid);
-    }
-    
-    scene.add(asteroidBelt);
+function updateOrbitLines() {
+    planets.forEach(planet => {
+        planet.orbitLine.geometry.setFromPoints(orbitPathPoints(planet.elements));
+    });
 }
 
 function createOrbitLines() {
     planets.forEach(planet => {
-        const orbitGeometry = new THREE.BufferGeometry();
-        const orbitMaterial = new THREE.LineBasicMaterial({ color: 0xFFFFFF, opacity: 0.5, transparent: true });
-
-        const orbitVertices = [];
-        for (let i = 0; i <= 64; i++) {
-            const angle = (i / 64) * Math.PI * 2;
-            orbitVertices.push(
-                Math.cos(angle) * planet.orbitRadius,
-                0,
-                Math.sin(angle) * planet.orbitRadius
-            );
-        }
+        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(orbitPathPoints(planet.elements));
+        const orbitMaterial = new THREE.LineBasicMaterial({ color: planet.body.color || 0xFFFFFF, opacity: 0.5, transparent: true });
 
-        orbitGeometry.setAttribute('position', new THREE.Float32BufferAttribute(orbitVertices, 3));
         const orbitLine = new THREE.Line(orbitGeometry, orbitMaterial);
+        planet.orbitLine = orbitLine;
         scene.add(orbitLine);
     });
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    const delta = clock.getDelta();
+// Place every planet and moon on its Keplerian orbit for the given date, or
+// where the N-body integrator has taken the planets in physics mode
+function updatePlanetPositions(date) {
+    planets.forEach(planet => {
+        const position = physicsPositionAU(planet.name);
+        if (position) {
+            eclipticPositionToScene(position, planet.group.position);
+        } else {
+            orbitalPositionToScene(planet.elements, date, planet.group.position);
+        }
+        updateMoonPositions(planet, date);
+    });
+}
 
-    // Animate solar flares
-    animateSolarFlares(delta);
+// Cloud tops drift slowly eastwards relative to the surface (radians per day)
+const CLOUD_DRIFT_RATE = 0.005;
 
-    // Update sun direction for Earth's day/night cycle
-    const earthPlanet = planets[2]; // Assuming Earth is the third planet
-    if (earthPlanet && earthPlanet.mesh.material.uniforms) {
-        const sunDirection = new THREE.Vector3(1, 0, 0).applyQuaternion(earthPlanet.group.quaternion).normalize();
-        earthPlanet.mesh.material.uniforms.sunDirection.value = sunDirection;
+// Spin every body about its own pole to the sidereal angle for the given date
+function updatePlanetRotations(date) {
+    if (sunObject.body.rotation) {
+        const spin = new THREE.Quaternion().setFromAxisAngle(THREE.Object3D.DefaultUp, rotationAngle(sunObject.body.rotation, date));
+        sun.quaternion.copy(sunObject.equatorQuaternion).multiply(spin);
     }
 
-    // Rotate planets and update positions
-    planets.forEach((planet, index) => {
-        planet.angle += 0.005 * rotationSpeed * delta;
-        planet.group.position.x = Math.cos(planet.angle) * planet.orbitRadius;
-        planet.group.position.z = Math.sin(planet.angle) * planet.orbitRadius;
-        
-        // Rotate the planet on its axis
-        planet.mesh.rotation.y += planet.rotationSpeed * rotationSpeed * delta;
+    planets.forEach(planet => {
+        if (!planet.body.rotation) return;
+        planet.mesh.rotation.y = rotationAngle(planet.body.rotation, date);
+
+        if (planet.clouds) {
+            const drift = (daysSinceJ2000(date) * CLOUD_DRIFT_RATE) % (Math.PI * 2);
+            planet.clouds.rotation.y = planet.mesh.rotation.y + drift;
+            // Cloud shadows on the surface shader follow the same drift
+            if (planet.mesh.material.uniforms.cloudOffset) {
+                planet.mesh.material.uniforms.cloudOffset.value = drift / (Math.PI * 2);
+            }
+        }
+    });
+}
+
+// Moon orbits keep the catalog's ratio of orbit radius to planet size, so they
+// grow and shrink with their planet in every scale mode
+function moonOrbitRadius(moon, planet) {
+    return planetSceneRadius(planet.body) * moon.body.display.orbitRadius / planet.body.display.size;
+}
+
+// Planets and moons also get the size slider; stars do not
+function planetSceneRadius(body) {
+    return sceneRadius(body) * (body.type === 'star' ? 1 : planetSizeScale);
+}
 
-        // Rotate moons individually
+// Resize every body, orbit line, comet tail and belt for the current scale mode
+function applyScaleLayout() {
+    sun.scale.setScalar(sceneRadius(sunObject.body) / sunObject.body.display.size);
+    planets.forEach(planet => {
+        planet.equator.scale.setScalar(planetSceneRadius(planet.body) / planet.body.display.size);
         planet.moons.forEach(moon => {
-            moon.angle += moon.rotationSpeed * rotationSpeed * delta;
-            const moonX = Math.cos(moon.angle) * moon.orbitRadius;
-            const moonZ = Math.sin(moon.angle) * moon.orbitRadius;
-            moon.group.position.set(moonX, 0, moonZ);
-            moon.group.children[0].rotation.y += moon.rotationSpeed * rotationSpeed * delta;
+            moon.mesh.scale.setScalar(planetSceneRadius(moon.body) / moon.body.display.size);
         });
+    });
+    updateOrbitLines();
+    layoutAsteroidBelt();
+    layoutOuterBelts();
+    layoutMissions();
+    layoutTransfer();
+    updatePlanetPositions(simulationClock.getDate());
+    updateComets(simulationClock.getDate());
+    layoutLayers();
+}
 
-        // Rotate clouds (if any)
-        planet.group.children.forEach(child => {
-            if (child.material && child.material.map && child.material.map.name === 'earth_clouds.jpg') {
-                child.rotation.y += 0.005 * rotationSpeed * delta; // Rotate clouds slower than the planet
-            }
-        });
+// Moon directions are real; the distance comes from moonOrbitRadius
+function updateMoonPositions(planet, date) {
+    planet.moons.forEach(moon => {
+        const position = satellitePosition(moon.elements, date, planet.body.pole);
+        eclipticToScene(position, moon.group.position).multiplyScalar(moonOrbitRadius(moon, planet) / moon.elements.a);
 
-        // Update planet label position
-        if (planetLabels[index]) {
-            const screenPosition = planet.group.position.clone().project(camera);
-            const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
-            const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
-            planetLabels[index].style.transform = `translate(${x}px, ${y}px)`;
-        }
+        // Tidally locked: always turn the same face towards the planet
+        moon.mesh.lookAt(planet.group.position);
     });
+}
 
-    // Rotate the star field slowly
-    if (starField) {
-        starField.rotation.y += 0.0001 * rotationSpeed * delta;
-    }
+function animate() {
+    requestAnimationFrame(animate);
+    // A frame sequence export steps the scene itself, one fixed interval at a time
+    if (isExportingSequence()) return;
+    const delta = clock.getDelta();
+    simulationClock.tick(delta);
+    updateScene(delta);
+    renderScene();
+}
 
-    // Rotate the asteroid belt
-    if (asteroidBelt) {
-        asteroidBelt.rotation.y += 0.0005 * rotationSpeed * delta;
-    }
+// Bring everything up to the clock's date; delta is the real time in seconds
+// that drives the purely visual effects
+function updateScene(delta) {
+    updatePhysics(simulationClock.getDate());
+    const simulationDate = simulationClock.getDate();
+    updateTimeDisplay(simulationDate);
+
+    updateSunEffects(delta, simulationDate);
+    updateTour(delta);
+    updateInfoPanel(delta);
+
+    updatePlanetPositions(simulationDate);
+
+    updatePlanetRotations(simulationDate);
+    updateComets(simulationDate);
+    updateAsteroidBelt(simulationDate);
+    updateOuterBelts(simulationDate);
+    updateMissions(simulationDate);
+    updateTransferPlanner(simulationDate);
+    updateLayers(simulationDate);
+
+    updateSurfaceLighting(sun.getWorldPosition(new THREE.Vector3()));
+
+    updateCameraControls();
+    updateObserver(simulationDate);
+    updateSky(isObserving() ? observerView.camera : camera);
+    updateLabelPositions();
+    updateMissionLabels();
+    updateLayerLabels();
+}
+
+// The scene and camera on screen: space, or the sky from the observer's surface
+function currentView() {
+    return isObserving()
+        ? { scene: observerView.scene, camera: observerView.camera }
+        : { scene: scene, camera: camera };
+}
 
-    renderer.render(scene, camera);
+function renderScene() {
+    const view = currentView();
+    renderer.render(view.scene, view.camera);
 
     // Update planet camera view
-    if (selectedPlanet) {
-        const planetPosition = selectedPlanet.group.position.clone();
-        const cameraOffset = new THREE.Vector3(5, 3, 5);
-        planetCamera.position.copy(planetPosition).add(cameraOffset);
-        planetCamera.lookAt(planetPosition);
-        planetRenderer.render(scene, planetCamera);
-    }
+    renderInsetViews();
 }
 
 function onWindowResize() {
@@ -402,18 +440,22 @@ function initSettings() {
     const cameraYSlider = document.getElementById('camera-y-slider');
     const cameraZSlider = document.getElementById('camera-z-slider');
     const asteroidCountSlider = document.getElementById('asteroid-count-slider');
+    const asteroidSizeSlider = document.getElementById('asteroid-size-slider');
+    const asteroidSlopeSlider = document.getElementById('asteroid-slope-slider');
     const solarFlareIntervalSlider = document.getElementById('solar-flare-interval-slider');
-    const alignPlanetsButton = document.getElementById('align-planets');
     const resetCameraButton = document.getElementById('reset-camera');
     const toggleLabelsButton = document.getElementById('toggle-labels');
+    const scaleModeSelect = document.getElementById('scale-mode-select');
 
     toggleButton.addEventListener('click', () => {
         settingsPanel.classList.toggle('hidden');
+        toggleButton.setAttribute('aria-expanded', String(!settingsPanel.classList.contains('hidden')));
     });
 
     speedSlider.addEventListener('input', (e) => {
-        rotationSpeed = parseFloat(e.target.value);
-        updateRotationSpeed();
+        const speed = parseFloat(e.target.value);
+        simulationClock.setSpeed(speed);
+        updateTimeControls();
     });
 
     planetSizeSlider.addEventListener('input', (e) => {
@@ -426,183 +468,271 @@ function initSettings() {
     cameraZSlider.addEventListener('input', updateCameraPosition);
 
     asteroidCountSlider.addEventListener('input', (e) => {
-        asteroidCount = parseInt(e.target.value);
-        updateAsteroidBelt();
+        setAsteroidCount(parseInt(e.target.value));
+    });
+
+    asteroidSizeSlider.addEventListener('input', (e) => {
+        setAsteroidSizeDistribution(parseFloat(e.target.value), asteroidSizeExponent);
+    });
+
+    asteroidSlopeSlider.addEventListener('input', (e) => {
+        setAsteroidSizeDistribution(asteroidSizeScale, parseFloat(e.target.value));
     });
 
     solarFlareIntervalSlider.addEventListener('input', (e) => {
         solarFlareInterval = parseInt(e.target.value);
     });
 
-    alignPlanetsButton.addEventListener('click', alignPlanets);
+    document.getElementById('launch-cme').addEventListener('click', () => {
+        launchCME(simulationClock.getDate());
+    });
+
     resetCameraButton.addEventListener('click', resetCamera);
 
     toggleLabelsButton.addEventListener('click', toggleLabels);
 
+    initLayerControls();
+
+    Object.entries(SCALE_MODES).forEach(([name, mode]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = mode.label;
+        scaleModeSelect.appendChild(option);
+    });
+    scaleModeSelect.value = scaleState.mode;
+    scaleModeSelect.addEventListener('change', (e) => {
+        setScaleMode(e.target.value, applyScaleLayout);
+    });
+
     createPlanetLabels();
+    initTimeControls();
+}
+
+function initTimeControls() {
+    const playPauseButton = document.getElementById('time-play-pause');
+    const reverseButton = document.getElementById('time-reverse');
+    const presetSelect = document.getElementById('time-rate-preset');
+    const jumpInput = document.getElementById('time-jump-input');
+    const jumpButton = document.getElementById('time-jump');
+    const nowButton = document.getElementById('time-now');
+
+    TIME_RATE_PRESETS.forEach((preset, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+
+    playPauseButton.addEventListener('click', () => {
+        simulationClock.togglePause();
+        updateTimeControls();
+    });
+
+    reverseButton.addEventListener('click', () => {
+        simulationClock.reverse();
+        updateTimeControls();
+    });
+
+    presetSelect.addEventListener('change', (e) => {
+        const preset = TIME_RATE_PRESETS[parseInt(e.target.value)];
+        if (!preset) return;
+        simulationClock.setSpeed(preset.rate);
+        updateTimeControls();
+    });
+
+    jumpButton.addEventListener('click', () => {
+        // datetime-local has no zone; the readout is UTC, so read it as UTC too
+        const time = Date.parse(`${jumpInput.value}Z`);
+        if (Number.isNaN(time)) return;
+        jumpToDate(new Date(time));
+    });
+
+    nowButton.addEventListener('click', () => jumpToDate(new Date()));
+
+    updateTimeControls();
+}
+
+function jumpToDate(date) {
+    simulationClock.setDate(date);
+    updatePlanetPositions(simulationClock.getDate());
+    updateTimeDisplay(simulationClock.getDate());
+}
+
+// Sync buttons, preset list and speed slider with the clock state
+function updateTimeControls() {
+    const rate = simulationClock.rate;
+    document.getElementById('time-play-pause').textContent = simulationClock.paused ? 'Play' : 'Pause';
+    document.getElementById('time-reverse').classList.toggle('active', simulationClock.direction < 0);
+    document.getElementById('time-rate').textContent = formatTimeRate(rate);
+
+    const presetIndex = TIME_RATE_PRESETS.findIndex(p => Math.abs(Math.abs(rate) - p.rate) < 1e-9);
+    document.getElementById('time-rate-preset').value = presetIndex >= 0 ? presetIndex : '';
+    document.getElementById('speed-slider').value = Math.min(Math.abs(rate), MAX_SLIDER_RATE);
+}
+
+let lastTimeDisplay = '';
+
+function updateTimeDisplay(date) {
+    const text = formatSimulationDate(date);
+    if (text !== lastTimeDisplay) {
+        document.getElementById('time-display').textContent = text;
+        lastTimeDisplay = text;
+    }
+}
+
+// A label is a button, so it can be reached by keyboard as well as clicked
+function addBodyLabel(object, className) {
+    const label = document.createElement('button');
+    label.type = 'button';
+    label.className = className;
+    label.textContent = object.name;
+    label.style.display = labelsVisible ? 'block' : 'none';
+    label.addEventListener('click', () => selectBody(object.name));
+    document.getElementById('planet-labels').appendChild(label);
+    planetLabels.push({ element: label, object: object });
+    return label;
 }
 
 function createPlanetLabels() {
-    const planetNames = ['Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'];
-    const labelsContainer = document.getElementById('planet-labels');
+    // Dwarf planets and comets get their own smaller label styles
+    planets.forEach(planet => {
+        addBodyLabel(planet, planet.body.type === 'planet' ? 'planet-label' : `planet-label ${planet.body.type}-label`);
+        planet.moons.forEach(moon => addBodyLabel(moon, 'planet-label moon-label'));
+    });
+    missions.forEach(mission => addBodyLabel(mission, 'planet-label mission-label'));
+}
+
+// Moon labels are hidden while their moon is too close to the planet on screen
+const MIN_MOON_LABEL_SEPARATION = 24;
+
+function updateLabelPositions() {
+    const screenPositions = new Map();
+    const worldPosition = new THREE.Vector3();
+
+    planetLabels.forEach(({ element, object }) => {
+        const screenPosition = object.group.getWorldPosition(worldPosition).project(camera);
+        const x = (screenPosition.x * 0.5 + 0.5) * window.innerWidth;
+        const y = (-(screenPosition.y * 0.5) + 0.5) * window.innerHeight;
+        screenPositions.set(object.name, { x, y });
+
+        // Spacecraft markers are hidden outside their mission dates
+        let visible = screenPosition.z < 1 && object.group.visible;
+        const parentPosition = object.parent && screenPositions.get(object.parent);
+        if (visible && parentPosition) {
+            visible = Math.hypot(x - parentPosition.x, y - parentPosition.y) > MIN_MOON_LABEL_SEPARATION;
+        }
 
-    planetNames.forEach((name, index) => {
-        const label = document.createElement('div');
-        label.className = 'planet-label';
-        label.textContent = name;
-        label.addEventListener('click', () => showPlanetInfo(name));
-        labelsContainer.appendChild(label);
-        planetLabels.push(label);
+        element.style.visibility = visible ? 'visible' : 'hidden';
+        element.style.transform = `translate(${x}px, ${y}px)`;
     });
 }
 
-function toggleLabels() {
-    labelsVisible = !labelsVisible;
-    planetLabels.forEach(label => {
-        label.style.display = labelsVisible ? 'block' : 'none';
+function setOrbitsVisible(visible) {
+    planets.forEach(planet => {
+        planet.orbitLine.visible = visible;
+    });
+}
+
+function setLabelsVisible(visible) {
+    labelsVisible = visible;
+    planetLabels.forEach(({ element }) => {
+        element.style.display = labelsVisible ? 'block' : 'none';
     });
+    document.getElementById('toggle-labels').setAttribute('aria-pressed', String(labelsVisible));
+}
+
+// Labels are one of the overlay layers; the button flips them
+function toggleLabels() {
+    setLayerVisible('labels', !labelsVisible);
+}
+
+// Star, planet, moon, spacecraft or physics-mode body scene object by name
+function findBodyObject(name) {
+    if (sunObject && sunObject.name === name) return sunObject;
+    for (const planet of planets) {
+        if (planet.name === name) return planet;
+        const moon = planet.moons.find(m => m.name === name);
+        if (moon) return moon;
+    }
+    return findMission(name) || findAddedBody(name);
 }
 
 let selectedPlanet = null;
 
-function showPlanetInfo(planetName) {
+// Open the info panel and fly the camera to the body
+function selectBody(name) {
+    showPlanetInfo(name);
+    flyToBody(name);
+}
+
+// description replaces the catalog text, e.g. for a tour step
+function showPlanetInfo(planetName, description) {
     const planetInfoPanel = document.getElementById('planet-info');
     const planetNameElement = document.getElementById('planet-name');
     const planetDescriptionElement = document.getElementById('planet-description');
     const planetViewContainer = document.getElementById('planet-view');
 
+    // Update selected planet (or moon, or spacecraft)
+    selectedPlanet = findBodyObject(planetName);
+
     planetNameElement.textContent = planetName;
-    planetDescriptionElement.textContent = planetInfo[planetName];
+    planetDescriptionElement.textContent = description || (selectedPlanet ? selectedPlanet.body.description : '');
 
     planetInfoPanel.classList.remove('hidden');
     planetViewContainer.classList.remove('hidden');
 
     // Animate the info panel appearance
-    gsap.from(planetInfoPanel, {
-        duration: 0.5,
-        opacity: 0,
-        x: -50,
-        ease: 'power2.out'
-    });
+    if (!isReducedMotion()) {
+        gsap.from(planetInfoPanel, {
+            duration: 0.5,
+            opacity: 0,
+            x: -50,
+            ease: 'power2.out'
+        });
+    }
 
-    // Update selected planet
-    selectedPlanet = planets.find(planet => planet.name === planetName);
-    
-    // Remove highlight from all planets
-    planets.forEach(planet => {
-        planet.mesh.material.emissive = new THREE.Color(0x000000);
-    });
+    renderMissionEvents(selectedPlanet);
+    renderBodyData();
+    announceSelectedBody();
 }
 
-function alignPlanets() {
-    planets.forEach((planet, index) => {
-        planet.angle = 0;
-        planet.group.position.x = planet.orbitRadius;
-        planet.group.position.z = 0;
-    });
+function hidePlanetInfo() {
+    document.getElementById('planet-info').classList.add('hidden');
+    document.getElementById('planet-view').classList.add('hidden');
+    selectedPlanet = null;
+    updateInsetVisibility();
 }
 
 function updatePlanetSizes() {
-    planets.forEach(planet => {
-        planet.group.scale.setScalar(planetSizeScale);
-    });
+    applyScaleLayout();
 }
 
 function updateCameraPosition() {
     const x = parseFloat(document.getElementById('camera-x-slider').value);
     const y = parseFloat(document.getElementById('camera-y-slider').value);
     const z = parseFloat(document.getElementById('camera-z-slider').value);
+    stopFollowing();
     camera.position.set(x, y, z);
+    controls.target.set(0, 0, 0);
     camera.lookAt(scene.position);
 }
 
 function resetCamera() {
-    document.getElementById('camera-x-slider').value = 70;
-    document.getElementById('camera-y-slider').value = 50;
-    document.getElementById('camera-z-slider').value = 70;
-    updateCameraPosition();
-}
-
-function updateAsteroidBelt() {
-    scene.remove(asteroidBelt);
-    createAsteroidBelt();
-}
-
-function updateRotationSpeed() {
-    planets.forEach(planet => {
-        planet.rotationSpeed = (0.02 / planet.mesh.geometry.parameters.radius) * (rotationSpeed / MAX_ROTATION_SPEED);
-    });
+    document.getElementById('camera-x-slider').value = OVERVIEW_POSITION.x;
+    document.getElementById('camera-y-slider').value = OVERVIEW_POSITION.y;
+    document.getElementById('camera-z-slider').value = OVERVIEW_POSITION.z;
+    flyToOverview();
 }
 
 init().then(() => {
     initSettings();
-});
-function createSolarFlares() {
-    const flareGroup = new THREE.Group();
-    const flareCount = 5;
-
-    for (let i = 0; i < flareCount; i++) {
-        const flareGeometry = new THREE.BufferGeometry();
-        const curvePoints = [];
-        const curve = new THREE.QuadraticBezierCurve3(
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3((Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20),
-            new THREE.Vector3((Math.random() - 0.5) * 15, (Math.random() - 0.5) * 15, (Math.random() - 0.5) * 15)
-        );
-
-        for (let j = 0; j <= 30; j++) {
-            curvePoints.push(curve.getPoint(j / 30));
-        }
-
-        flareGeometry.setFromPoints(curvePoints);
-
-        const flareMaterial = new THREE.MeshBasicMaterial({
-            color: new THREE.Color(0xffaa00),
-            transparent: true,
-            opacity: 0.7
-        });
-
-        const flarePoints = new THREE.Points(flareGeometry, new THREE.PointsMaterial({
-            color: 0xffaa00,
-            size: 0.2,
-            transparent: true,
-            opacity: 0.7
-        }));
-
-        const flare = new THREE.Mesh(flareGeometry, flareMaterial);
-        flare.add(flarePoints);
-        flare.userData = {
-            originalScale: flare.scale.clone(),
-            animationOffset: Math.random() * Math.PI * 2,
-            lifespan: 0,
-            maxLifespan: Math.random() * 5 + 5 // 5-10 seconds lifespan
-        };
-        flareGroup.add(flare);
-    }
-
-    return flareGroup;
-}
-
-function animateSolarFlares(delta) {
-    solarFlares.children.forEach((flare, index) => {
-        const time = Date.now() * 0.001 + flare.userData.animationOffset;
-        const scaleAnimation = Math.sin(time) * 0.2 + 1;
-        flare.scale.copy(flare.userData.originalScale).multiplyScalar(scaleAnimation);
-
-        // Update flare opacity based on its lifespan
-        flare.userData.lifespan += delta;
-        const lifespanRatio = flare.userData.lifespan / flare.userData.maxLifespan;
-        flare.material.opacity = 0.7 * (1 - lifespanRatio);
-
-        // Remove flare if its lifespan is over
-        if (flare.userData.lifespan >= flare.userData.maxLifespan) {
-            solarFlares.remove(flare);
-        }
-    });
-
-    // Randomly create new flares based on the interval setting
-    if (Math.random() < (1 / solarFlareInterval) * delta) {
-        const newFlare = createSolarFlares().children[0];
-        solarFlares.add(newFlare);
-    }
-}
+    initInfoPanel();
+    initViewState();
+    initTours();
+    initTransferPlanner();
+    initEventFinder();
+    initObserver();
+    initPhysicsMode();
+    initAccessibility();
+    initExporter();
+}).catch(showStartupFailure);
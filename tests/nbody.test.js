@@ -0,0 +1,71 @@
+// Headless checks of the N-body integrator against known results.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNBodySystem } = require('../js/nbody.js');
+
+const SUN_GM = 2.959122082855911e-4;    // AU³/day² (Gaussian gravitational constant squared)
+const EARTH_GM = SUN_GM / 332946.0487;
+const SIDEREAL_YEAR = 365.256363;       // days
+
+// Sun and Earth on a circular orbit of 1 AU about their barycentre
+function sunEarthSystem(options) {
+    const speed = Math.sqrt(SUN_GM + EARTH_GM);
+    const earthShare = SUN_GM / (SUN_GM + EARTH_GM);
+    return createNBodySystem([
+        { name: 'Sun', gm: SUN_GM, position: [-(1 - earthShare), 0, 0], velocity: [0, -speed * (1 - earthShare), 0] },
+        { name: 'Earth', gm: EARTH_GM, position: [earthShare, 0, 0], velocity: [0, speed * earthShare, 0] }
+    ], options);
+}
+
+// Earth's angle around the Sun, unwrapped so it keeps growing
+function earthAngle(system, previous) {
+    const sun = system.find('Sun');
+    const earth = system.find('Earth');
+    const angle = Math.atan2(earth.position[1] - sun.position[1], earth.position[0] - sun.position[0]);
+    if (previous === undefined) return angle;
+    return previous + Math.atan2(Math.sin(angle - previous), Math.cos(angle - previous));
+}
+
+test("Earth's orbital period", () => {
+    const system = sunEarthSystem();
+    const step = 0.5;
+    let angle = earthAngle(system);
+    let time = 0;
+    // Step until a full turn, then interpolate to where it was completed
+    for (;;) {
+        assert.ok(system.advance(step));
+        const next = earthAngle(system, angle);
+        if (next >= 2 * Math.PI) {
+            const period = time + step * (2 * Math.PI - angle) / (next - angle);
+            assert.ok(Math.abs(period - SIDEREAL_YEAR) < 0.05, `period ${period} days`);
+            return;
+        }
+        angle = next;
+        time += step;
+        assert.ok(time < 400, 'no full orbit within 400 days');
+    }
+});
+
+test('energy and momentum are conserved over a century', () => {
+    const system = sunEarthSystem();
+    assert.ok(system.advance(100 * SIDEREAL_YEAR));
+    const drift = system.drift();
+    assert.ok(drift.energy < 1e-6, `energy drift ${drift.energy}`);
+    assert.ok(drift.momentum < 1e-12, `momentum drift ${drift.momentum}`);
+});
+
+// Verlet steps are time-symmetric, but the adaptive step size is chosen at the
+// start of each step, so the way back is only close to the way out
+test('running backwards returns to the start', () => {
+    const system = sunEarthSystem();
+    const start = system.bodies.map(body => body.position.slice());
+    assert.ok(system.advance(1000));
+    assert.ok(system.advance(-1000));
+    assert.ok(Math.abs(system.time) < 1e-9);
+    system.bodies.forEach((body, i) => {
+        const error = Math.hypot(...body.position.map((value, k) => value - start[i][k]));
+        assert.ok(error < 1e-6, `${body.name} is ${error} AU from where it started`);
+    });
+});